@@ -0,0 +1,13 @@
+import { createSignalingServer } from "./signaling.js";
+
+// Run the reference signaling server on its own: PORT=8080 node server/index.js
+const port = Number(process.env.PORT) || 8080;
+
+const wss = createSignalingServer({ port });
+wss.on("listening", () => {
+  console.log(`Signaling server listening on ws://localhost:${port}/ws`);
+});
+wss.on("error", (error) => {
+  console.error("Signaling server failed:", error.message);
+  process.exit(1);
+});
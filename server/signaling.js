@@ -0,0 +1,426 @@
+import {
+  randomBytes,
+  randomUUID,
+  scrypt as scryptCallback,
+  timingSafeEqual,
+} from "node:crypto";
+import { promisify } from "node:util";
+import { WebSocket, WebSocketServer } from "ws";
+
+const scrypt = promisify(scryptCallback);
+
+// Reference signaling server for the room protocol described in
+// docs/signaling-protocol.md. Rooms only live in memory, so it is meant for
+// development and small self-hosted setups.
+
+// How long a peer that dropped keeps its place in the room for a rejoin
+const SESSION_GRACE_PERIOD = 60000;
+
+// Sockets that don't answer a ping within this long are dropped
+const HEARTBEAT_INTERVAL = 30000;
+
+// Descriptions with every ICE candidate gathered stay well below this
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+const MAX_ROOM_ID_LENGTH = 64;
+const MAX_PASSWORD_LENGTH = 256;
+const MAX_DISPLAY_NAME_LENGTH = 64;
+
+const PASSWORD_KEY_LENGTH = 32;
+
+// Messages passed on to the peer in their "to" field
+const RELAYED_TYPES = new Set(["offer", "answer", "ice-candidate"]);
+
+const isValidRoomId = (roomId) =>
+  typeof roomId === "string" &&
+  roomId.length > 0 &&
+  roomId.length <= MAX_ROOM_ID_LENGTH;
+
+const send = (socket, message) => {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+// Errors carry a code for the client to act on and a message for the user
+const sendError = (socket, code, data) =>
+  send(socket, { type: "error", code, data });
+
+// Room passwords are only kept as salted scrypt hashes
+const hashPassword = async (password) => {
+  const salt = randomBytes(16);
+  return { salt, hash: await scrypt(password, salt, PASSWORD_KEY_LENGTH) };
+};
+
+const checkPassword = async (password, { salt, hash }) =>
+  timingSafeEqual(await scrypt(password, salt, PASSWORD_KEY_LENGTH), hash);
+
+const getDisplayName = (displayName) =>
+  typeof displayName === "string"
+    ? displayName.trim().slice(0, MAX_DISPLAY_NAME_LENGTH)
+    : "";
+
+// Start a signaling server. Pass either an HTTP server to attach to or a
+// port to listen on. Returns the WebSocketServer.
+export const createSignalingServer = ({ server, port, path = "/ws" } = {}) => {
+  const wss = new WebSocketServer({
+    server,
+    port,
+    path,
+    maxPayload: MAX_MESSAGE_SIZE,
+  });
+
+  // roomId -> {
+  //   peers: Map of peerId -> { peerId, sessionToken, socket, graceTimer },
+  //   hostPeerId, password: { salt, hash } or null, knock,
+  //   knocks: Map of peerId -> { socket, displayName } waiting for the host
+  // }
+  // A peer whose socket dropped has no socket until it rejoins or its grace
+  // period ends.
+  const rooms = new Map();
+  let closed = false;
+
+  const broadcast = (room, message, exceptPeerId) => {
+    room.peers.forEach((peer) => {
+      if (peer.peerId !== exceptPeerId) send(peer.socket, message);
+    });
+  };
+
+  const addPeer = (room, socket, peerId = randomUUID()) => {
+    const peer = {
+      peerId,
+      sessionToken: randomBytes(32).toString("base64url"),
+      socket,
+      graceTimer: null,
+    };
+    room.peers.set(peer.peerId, peer);
+    return peer;
+  };
+
+  // Show the host everyone still waiting, after it changed or came back
+  const sendKnocks = (room) => {
+    const host = room.peers.get(room.hostPeerId);
+    room.knocks.forEach(({ displayName }, peerId) => {
+      send(host.socket, { type: "knock", from: peerId, displayName });
+    });
+  };
+
+  const removePeer = (roomId, peerId) => {
+    const room = rooms.get(roomId);
+    if (!room || !room.peers.has(peerId)) return;
+
+    clearTimeout(room.peers.get(peerId).graceTimer);
+    room.peers.delete(peerId);
+    console.log(`Peer ${peerId} left room ${roomId}`);
+    broadcast(room, { type: "peer-left", from: peerId });
+
+    if (room.peers.size === 0) {
+      // Nobody is left to let anyone waiting in
+      room.knocks.forEach((knock) =>
+        knock.turnAway("room-not-found", "Room doesn't exist")
+      );
+      rooms.delete(roomId);
+      console.log(`Room ${roomId} closed`);
+    } else if (room.hostPeerId === peerId) {
+      // The longest-standing peer takes over
+      room.hostPeerId = room.peers.keys().next().value;
+      sendKnocks(room);
+    }
+  };
+
+  const sendRoomJoined = (socket, roomId, peer) =>
+    send(socket, {
+      type: "room-joined",
+      roomId,
+      peerId: peer.peerId,
+      sessionToken: peer.sessionToken,
+    });
+
+  wss.on("connection", (socket) => {
+    // The room and peer this socket speaks for, once it has one
+    let session = null;
+    // The room and peer ID this socket is knocking at
+    let knocking = null;
+
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    // A socket does one room request at a time, and only outside a room
+    let busy = false;
+    const canRequestRoom = () => {
+      if (session || knocking || busy) {
+        sendError(socket, "already-in-room", "Already in a room");
+        return false;
+      }
+      return true;
+    };
+
+    const enterRoom = (roomId, room, peerId) => {
+      const peer = addPeer(room, socket, peerId);
+      session = { roomId, peer };
+      console.log(`Peer ${peer.peerId} joined room ${roomId}`);
+      sendRoomJoined(socket, roomId, peer);
+      // The peers already there offer to the new one
+      broadcast(room, { type: "new-peer", from: peer.peerId }, peer.peerId);
+    };
+
+    // Only the host answers knocks
+    const getKnock = (message) => {
+      if (!session) {
+        sendError(socket, "not-in-room", "Not in a room");
+        return null;
+      }
+      const room = rooms.get(session.roomId);
+      if (room.hostPeerId !== session.peer.peerId) {
+        sendError(socket, "not-host", "Only the host can let peers in");
+        return null;
+      }
+      const knock = room.knocks.get(message.to);
+      if (!knock) return null;
+      room.knocks.delete(message.to);
+      return knock;
+    };
+
+    const handlers = {
+      "create-room": async (message) => {
+        if (!canRequestRoom()) return;
+        if (!isValidRoomId(message.roomId)) {
+          return sendError(socket, "invalid-room-id", "Invalid room ID");
+        }
+        if (rooms.has(message.roomId)) {
+          return sendError(socket, "room-exists", "Room already exists");
+        }
+        if (
+          message.password !== undefined &&
+          (typeof message.password !== "string" ||
+            message.password.length > MAX_PASSWORD_LENGTH)
+        ) {
+          return sendError(socket, "invalid-password", "Invalid password");
+        }
+
+        busy = true;
+        const password = message.password
+          ? await hashPassword(message.password)
+          : null;
+        busy = false;
+        if (socket.readyState !== WebSocket.OPEN) return;
+        // Someone else may have taken the ID while we were hashing
+        if (rooms.has(message.roomId)) {
+          return sendError(socket, "room-exists", "Room already exists");
+        }
+
+        const room = {
+          peers: new Map(),
+          hostPeerId: null,
+          password,
+          knock: message.knock === true,
+          knocks: new Map(),
+        };
+        rooms.set(message.roomId, room);
+        const peer = addPeer(room, socket);
+        room.hostPeerId = peer.peerId;
+        session = { roomId: message.roomId, peer };
+        console.log(`Peer ${peer.peerId} created room ${message.roomId}`);
+        send(socket, {
+          type: "room-created",
+          roomId: message.roomId,
+          peerId: peer.peerId,
+          sessionToken: peer.sessionToken,
+        });
+      },
+
+      "join-room": async (message) => {
+        if (!canRequestRoom()) return;
+        const roomId = message.roomId;
+        if (!rooms.has(roomId)) {
+          return sendError(socket, "room-not-found", "Room doesn't exist");
+        }
+
+        if (rooms.get(roomId).password) {
+          if (!message.password) {
+            return sendError(
+              socket,
+              "password-required",
+              "This room needs a password"
+            );
+          }
+          busy = true;
+          const matches =
+            typeof message.password === "string" &&
+            message.password.length <= MAX_PASSWORD_LENGTH &&
+            (await checkPassword(
+              message.password,
+              rooms.get(roomId).password
+            ).catch(() => false));
+          busy = false;
+          if (!matches) {
+            return sendError(socket, "wrong-password", "Wrong password");
+          }
+        }
+
+        // The room may have closed while we were checking
+        const room = rooms.get(roomId);
+        if (!room) {
+          return sendError(socket, "room-not-found", "Room doesn't exist");
+        }
+        if (socket.readyState !== WebSocket.OPEN) return;
+
+        if (!room.knock) {
+          enterRoom(roomId, room);
+          return;
+        }
+
+        // Nobody hears of the new peer until the host lets it in
+        const peerId = randomUUID();
+        const displayName = getDisplayName(message.displayName);
+        room.knocks.set(peerId, {
+          displayName,
+          admit: () => {
+            knocking = null;
+            enterRoom(roomId, room, peerId);
+          },
+          turnAway: (code, data) => {
+            knocking = null;
+            sendError(socket, code, data);
+          },
+        });
+        knocking = { roomId, peerId };
+        console.log(`Peer ${peerId} is knocking at room ${roomId}`);
+        send(socket, { type: "waiting-for-host", roomId });
+        const host = room.peers.get(room.hostPeerId);
+        send(host.socket, { type: "knock", from: peerId, displayName });
+      },
+
+      // Take a dropped peer's place back. The other peers aren't told, as
+      // their connections to it never needed us.
+      "rejoin-room": (message) => {
+        if (!canRequestRoom()) return;
+        const room = rooms.get(message.roomId);
+        const peer = room && room.peers.get(message.peerId);
+        if (!peer || peer.sessionToken !== message.sessionToken) {
+          return sendError(socket, "session-expired", "Session expired");
+        }
+
+        clearTimeout(peer.graceTimer);
+        peer.graceTimer = null;
+        // A socket that hasn't noticed it's dead yet
+        if (peer.socket) peer.socket.terminate();
+        peer.socket = socket;
+        session = { roomId: message.roomId, peer };
+        console.log(`Peer ${peer.peerId} rejoined room ${message.roomId}`);
+        sendRoomJoined(socket, message.roomId, peer);
+        if (room.hostPeerId === peer.peerId) sendKnocks(room);
+      },
+
+      "leave-room": () => {
+        if (!session) return;
+        const { roomId, peer } = session;
+        session = null;
+        removePeer(roomId, peer.peerId);
+      },
+
+      admit: (message) => {
+        const knock = getKnock(message);
+        if (!knock) return;
+        console.log(`Host let ${message.to} into room ${session.roomId}`);
+        knock.admit();
+      },
+
+      reject: (message) => {
+        const knock = getKnock(message);
+        if (!knock) return;
+        console.log(`Host turned ${message.to} away from ${session.roomId}`);
+        knock.turnAway("rejected", "The host didn't let you in");
+      },
+    };
+
+    const relay = (message) => {
+      if (!session) return sendError(socket, "not-in-room", "Not in a room");
+      const room = rooms.get(session.roomId);
+      const target = room && room.peers.get(message.to);
+      // Dropped peers get a fresh offer once they are back
+      if (!target || !target.socket) {
+        console.warn(
+          `Dropping ${message.type} for ${message.to}, not connected`
+        );
+        return;
+      }
+      send(target.socket, {
+        type: message.type,
+        from: session.peer.peerId,
+        data: message.data,
+      });
+    };
+
+    socket.on("message", (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch {
+        return sendError(socket, "invalid-message", "Invalid message");
+      }
+      if (!message || typeof message.type !== "string") {
+        return sendError(socket, "invalid-message", "Invalid message");
+      }
+
+      if (RELAYED_TYPES.has(message.type)) {
+        relay(message);
+      } else if (Object.hasOwn(handlers, message.type)) {
+        handlers[message.type](message);
+      } else {
+        sendError(
+          socket,
+          "unknown-type",
+          `Unknown message type: ${message.type}`
+        );
+      }
+    });
+
+    // Hold the peer's place for a while, it may be back with rejoin-room
+    socket.on("close", () => {
+      if (closed) return;
+
+      // Take back a knock nobody answered
+      if (knocking) {
+        const room = rooms.get(knocking.roomId);
+        if (room && room.knocks.delete(knocking.peerId)) {
+          const host = room.peers.get(room.hostPeerId);
+          send(host.socket, { type: "knock-cancelled", from: knocking.peerId });
+        }
+        return;
+      }
+
+      if (!session || session.peer.socket !== socket) return;
+      const { roomId, peer } = session;
+      peer.socket = null;
+      peer.graceTimer = setTimeout(
+        () => removePeer(roomId, peer.peerId),
+        SESSION_GRACE_PERIOD
+      );
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    rooms.forEach((room) =>
+      room.peers.forEach((peer) => clearTimeout(peer.graceTimer))
+    );
+    rooms.clear();
+  });
+
+  return wss;
+};
@@ -5,6 +5,7 @@ import Layout from "./components/Layout";
 import HomePage from "./pages/HomePage";
 import RoomPage from "./pages/RoomPage";
 import AboutPage from "./pages/AboutPage";
+import HistoryPage from "./pages/HistoryPage";
 
 function App() {
   return (
@@ -12,6 +13,7 @@ function App() {
       <Route path="/" element={<Layout />}>
         <Route index element={<HomePage />} />
         <Route path="room/:roomId" element={<RoomPage />} />
+        <Route path="history" element={<HistoryPage />} />
         <Route path="about" element={<AboutPage />} />
       </Route>
     </Routes>
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef } from "react";
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const ChatMessage = ({ message, copied, onCopy }) => (
+  <li
+    className={`rounded-md px-3 py-2 ${
+      message.outgoing ? "bg-[#1f3a2b]" : "bg-[#1a1b1c]"
+    }`}
+  >
+    <div className="flex justify-between items-center text-xs text-gray-500 mb-1">
+      <span className="truncate">
+        {message.outgoing ? "You" : message.senderName || message.from}
+        {" · "}
+        {formatTime(message.timestamp)}
+      </span>
+      <button
+        onClick={() => onCopy(message)}
+        className="ml-2 text-[#2ecc71] hover:underline"
+      >
+        {copied ? "Copied" : "Copy"}
+      </button>
+    </div>
+    {message.format === "code" ? (
+      <pre className="text-sm text-gray-200 font-mono whitespace-pre overflow-x-auto bg-[#111] rounded p-2">
+        {message.text}
+      </pre>
+    ) : (
+      <p className="text-sm text-gray-200 whitespace-pre-wrap break-words">
+        {message.text}
+      </p>
+    )}
+  </li>
+);
+
+// Text chat with everyone in the room. Messages marked as code keep their
+// whitespace and are shown in a monospace font.
+const ChatPanel = ({
+  messages,
+  canSend,
+  displayName,
+  onDisplayNameChange,
+  onSend,
+}) => {
+  const [draft, setDraft] = useState("");
+  const [isCode, setIsCode] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+  const listRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  const send = () => {
+    if (!draft.trim() || !canSend) return;
+    if (onSend(draft, isCode ? "code" : "text")) {
+      setDraft("");
+    }
+  };
+
+  // Enter sends, Shift+Enter starts a new line
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      send();
+    }
+  };
+
+  const copyMessage = async (message) => {
+    try {
+      await navigator.clipboard.writeText(message.text);
+      setCopiedId(message.id);
+      setTimeout(
+        () =>
+          setCopiedId((current) => (current === message.id ? null : current)),
+        1500
+      );
+    } catch (err) {
+      console.error("Failed to copy message:", err);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-[#252627] p-6 rounded-lg shadow-lg border border-[#333]">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-white">
+          Chat &amp; Snippets
+        </h2>
+        <input
+          type="text"
+          value={displayName}
+          onChange={(e) => onDisplayNameChange(e.target.value)}
+          placeholder="Your name"
+          maxLength={64}
+          className="w-40 py-1 px-2 text-sm border rounded-md bg-[#1a1b1c] border-[#444] text-white focus:outline-none focus:ring-2 focus:ring-[#2ecc71]"
+        />
+      </div>
+
+      {messages.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">
+          No messages yet. Anything sent here goes straight to the peers in the
+          room.
+        </p>
+      ) : (
+        <ul ref={listRef} className="space-y-2 max-h-80 overflow-y-auto mb-4">
+          {messages.map((message) => (
+            <ChatMessage
+              key={message.id}
+              message={message}
+              copied={copiedId === message.id}
+              onCopy={copyMessage}
+            />
+          ))}
+        </ul>
+      )}
+
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        rows={isCode ? 6 : 2}
+        placeholder={
+          canSend
+            ? "Type a message. Shift+Enter for a new line."
+            : "Waiting for a peer to connect..."
+        }
+        className={`w-full py-2 px-3 border rounded-md bg-[#1a1b1c] border-[#444] text-white focus:outline-none focus:ring-2 focus:ring-[#2ecc71] ${
+          isCode ? "font-mono text-sm" : ""
+        }`}
+      />
+      <div className="flex justify-between items-center mt-2">
+        <label className="flex items-center text-sm text-gray-400">
+          <input
+            type="checkbox"
+            checked={isCode}
+            onChange={(e) => setIsCode(e.target.checked)}
+            className="mr-2"
+          />
+          Code snippet
+        </label>
+        <button
+          onClick={send}
+          disabled={!canSend || !draft.trim()}
+          className={`py-2 px-4 rounded-md transition-colors ${
+            !canSend || !draft.trim()
+              ? "bg-[#333] text-gray-500 cursor-not-allowed"
+              : "bg-[#2ecc71] text-white hover:bg-[#27ae60]"
+          }`}
+        >
+          Send
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import {
+  MAX_BULK_CHANNELS,
+  clearConfigOverrides,
+  getConfigOverrides,
+  loadDeploymentConfig,
+  saveConfigOverrides,
+} from "../services/Config";
+
+// Override the signaling server, ICE servers and data channel count this
+// deployment uses, for this browser only. Takes effect on the next room created or joined.
+const ConnectionSettings = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [defaults, setDefaults] = useState(null);
+  const [signalingUrl, setSignalingUrl] = useState("");
+  const [iceServers, setIceServers] = useState("");
+  const [bulkChannels, setBulkChannels] = useState("");
+  const [status, setStatus] = useState(null);
+
+  const open = async () => {
+    setIsOpen(true);
+    const overrides = getConfigOverrides();
+    setSignalingUrl(overrides.signalingUrl || "");
+    setIceServers(
+      overrides.iceServers ? JSON.stringify(overrides.iceServers, null, 2) : ""
+    );
+    setBulkChannels(
+      overrides.bulkChannels !== undefined ? String(overrides.bulkChannels) : ""
+    );
+    setDefaults(await loadDeploymentConfig());
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    try {
+      let parsedIceServers = null;
+      if (iceServers.trim()) {
+        try {
+          parsedIceServers = JSON.parse(iceServers);
+        } catch {
+          throw new Error("ICE servers must be valid JSON");
+        }
+      }
+      saveConfigOverrides({
+        signalingUrl: signalingUrl.trim(),
+        iceServers: parsedIceServers,
+        bulkChannels: bulkChannels.trim() ? Number(bulkChannels) : null,
+      });
+      setStatus({ error: false, text: "Saved. Used for the next room." });
+    } catch (err) {
+      setStatus({ error: true, text: err.message });
+    }
+  };
+
+  const reset = () => {
+    clearConfigOverrides();
+    setSignalingUrl("");
+    setIceServers("");
+    setBulkChannels("");
+    setStatus({ error: false, text: "Back to the defaults." });
+  };
+
+  if (!isOpen) {
+    return (
+      <div className="mt-8 text-center">
+        <button
+          onClick={open}
+          className="text-sm text-gray-500 hover:text-[#2ecc71] transition-colors"
+        >
+          Connection settings
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={save}
+      className="mt-8 bg-[#252627] p-6 rounded-lg border border-[#333]"
+    >
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-white">
+          Connection Settings
+        </h2>
+        <button
+          type="button"
+          onClick={() => setIsOpen(false)}
+          className="text-sm text-gray-500 hover:underline"
+        >
+          Hide
+        </button>
+      </div>
+      <p className="mb-4 text-sm text-gray-400">
+        Only change these if you run your own signaling or TURN server. Leave a
+        field empty to use this site's default.
+      </p>
+
+      <label className="block mb-1 text-sm text-gray-300">
+        Signaling server
+      </label>
+      <input
+        type="text"
+        value={signalingUrl}
+        onChange={(e) => setSignalingUrl(e.target.value)}
+        placeholder={defaults ? defaults.signalingUrl : "wss://example.com/ws"}
+        className="w-full mb-4 p-3 bg-[#1a1b1c] border border-[#444] rounded-md text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:border-transparent"
+      />
+
+      <label className="block mb-1 text-sm text-gray-300">
+        ICE servers (JSON, as passed to RTCPeerConnection)
+      </label>
+      <textarea
+        value={iceServers}
+        onChange={(e) => setIceServers(e.target.value)}
+        rows={8}
+        placeholder={
+          defaults ? JSON.stringify(defaults.iceServers, null, 2) : ""
+        }
+        className="w-full mb-4 p-3 font-mono text-sm bg-[#1a1b1c] border border-[#444] rounded-md text-white placeholder-gray-600 focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:border-transparent"
+      />
+
+      <label className="block mb-1 text-sm text-gray-300">
+        Data channels per peer for file data (0 to {MAX_BULK_CHANNELS})
+      </label>
+      <input
+        type="number"
+        min={0}
+        max={MAX_BULK_CHANNELS}
+        value={bulkChannels}
+        onChange={(e) => setBulkChannels(e.target.value)}
+        placeholder={defaults ? String(defaults.bulkChannels) : ""}
+        className="w-full mb-4 p-3 bg-[#1a1b1c] border border-[#444] rounded-md text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:border-transparent"
+      />
+
+      {status && (
+        <p
+          className={`mb-4 text-sm ${
+            status.error ? "text-red-400" : "text-green-400"
+          }`}
+        >
+          {status.text}
+        </p>
+      )}
+
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          className="bg-[#2ecc71] text-white px-4 py-2 rounded-md hover:bg-[#27ae60] transition-colors"
+        >
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={reset}
+          className="bg-[#333] text-gray-300 px-4 py-2 rounded-md hover:bg-[#444] transition-colors"
+        >
+          Use Defaults
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ConnectionSettings;
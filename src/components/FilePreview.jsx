@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from "react";
+import { formatFileSize } from "../utils/format";
+import { getPreviewKind } from "../utils/preview";
+
+// Only the start of a large text file is shown
+const MAX_TEXT_PREVIEW = 256 * 1024;
+
+const TextPreview = ({ file }) => {
+  const [text, setText] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    file.blob
+      .slice(0, MAX_TEXT_PREVIEW)
+      .text()
+      .then((content) => {
+        if (!cancelled) setText(content);
+      })
+      .catch((err) => {
+        if (!cancelled) setText(`Could not read file: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  if (text === null) {
+    return <p className="text-gray-400">Loading...</p>;
+  }
+
+  return (
+    <>
+      <pre className="text-sm text-gray-200 font-mono whitespace-pre-wrap break-words max-h-[70vh] overflow-auto bg-[#111] rounded p-4">
+        {text}
+      </pre>
+      {file.size > MAX_TEXT_PREVIEW && (
+        <p className="mt-2 text-xs text-gray-500">
+          Showing the first {formatFileSize(MAX_TEXT_PREVIEW)}. Download the
+          file to see all of it.
+        </p>
+      )}
+    </>
+  );
+};
+
+// The blob's own type follows the file name the sender picked, so a PDF is
+// only ever shown from a copy typed as one. Anything else in there can't run
+// as a page in our origin.
+const PdfPreview = ({ file }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const pdfUrl = URL.createObjectURL(
+      new Blob([file.blob], { type: "application/pdf" })
+    );
+    setUrl(pdfUrl);
+    return () => URL.revokeObjectURL(pdfUrl);
+  }, [file]);
+
+  if (!url) {
+    return <p className="text-gray-400">Loading...</p>;
+  }
+
+  return (
+    <iframe
+      src={url}
+      title={file.name}
+      className="w-full h-[75vh] bg-white rounded"
+    />
+  );
+};
+
+const PreviewContent = ({ file }) => {
+  switch (getPreviewKind(file)) {
+    case "image":
+      return (
+        <img
+          src={file.url}
+          alt={file.name}
+          className="max-w-full max-h-[75vh] mx-auto"
+        />
+      );
+    case "video":
+      return (
+        <video
+          src={file.url}
+          poster={file.thumbnail || undefined}
+          controls
+          autoPlay
+          className="max-w-full max-h-[75vh] mx-auto"
+        />
+      );
+    case "audio":
+      return <audio src={file.url} controls autoPlay className="w-full" />;
+    case "pdf":
+      return <PdfPreview file={file} />;
+    case "text":
+      return <TextPreview file={file} />;
+    default:
+      return <p className="text-gray-400">No preview for this type of file.</p>;
+  }
+};
+
+// Full-size viewer for a received file. Escape or a click outside closes it.
+const FilePreview = ({ file, onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={file.name}
+        className="w-full max-w-4xl bg-[#252627] p-4 rounded-lg shadow-lg border border-[#333]"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <p className="font-medium text-white truncate">
+            {file.relativePath || file.name}
+            <span className="ml-2 text-sm text-gray-400">
+              {formatFileSize(file.size)}
+            </span>
+          </p>
+          <div className="flex space-x-2 ml-2">
+            <a
+              href={file.url}
+              download={file.name}
+              className="bg-[#333] text-[#2ecc71] px-3 py-1 text-sm rounded-md hover:bg-[#444] transition-colors"
+            >
+              Download
+            </a>
+            <button
+              onClick={onClose}
+              className="bg-[#333] text-gray-300 px-3 py-1 text-sm rounded-md hover:bg-[#444] transition-colors"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+        <PreviewContent file={file} />
+      </div>
+    </div>
+  );
+};
+
+export default FilePreview;
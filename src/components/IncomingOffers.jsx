@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { formatFileSize } from "../utils/format";
+
+// Files offered as part of a folder are answered together
+const groupOffers = (offers) => {
+  const groups = [];
+  const folders = {};
+
+  offers.forEach((offer) => {
+    if (!offer.folderId) {
+      groups.push({ key: offer.fileId, offers: [offer] });
+      return;
+    }
+
+    if (!folders[offer.folderId]) {
+      folders[offer.folderId] = { key: offer.folderId, offers: [] };
+      groups.push(folders[offer.folderId]);
+    }
+    folders[offer.folderId].offers.push(offer);
+  });
+
+  return groups;
+};
+
+const OfferPrompt = ({ group, onAccept, onSaveAs, onDecline }) => {
+  const [alwaysAccept, setAlwaysAccept] = useState(false);
+  const [offer] = group.offers;
+  const isFolder = Boolean(offer.folderId);
+
+  return (
+    <div className="bg-[#1e1f20] p-4 rounded-md border border-[#2ecc71] mb-4">
+      <div className="flex items-center">
+        {!isFolder && offer.thumbnail && (
+          <img
+            src={offer.thumbnail}
+            alt=""
+            className="mr-4 w-20 h-20 flex-shrink-0 object-cover rounded-md"
+          />
+        )}
+        <div className="min-w-0">
+          <p className="text-white">
+            <span className="text-gray-400">
+              Peer {offer.peerId} wants to send
+            </span>{" "}
+            {isFolder
+              ? `📁 ${offer.folderName} (${offer.folderFileCount} files)`
+              : offer.fileName}
+          </p>
+          {!isFolder && (
+            <p className="text-sm text-gray-400">
+              {formatFileSize(offer.fileSize)}
+              {offer.fileType && ` · ${offer.fileType}`}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <label className="flex items-center mt-2 text-sm text-gray-400">
+        <input
+          type="checkbox"
+          checked={alwaysAccept}
+          onChange={(e) => setAlwaysAccept(e.target.checked)}
+          className="mr-2"
+        />
+        Always accept from this peer in this room
+      </label>
+
+      <div className="flex space-x-2 mt-3">
+        <button
+          onClick={() => onAccept(offer, alwaysAccept)}
+          className="bg-[#2ecc71] text-white px-4 py-2 rounded-md hover:bg-[#27ae60] transition-colors"
+        >
+          Accept
+        </button>
+        {!isFolder && "showSaveFilePicker" in window && (
+          <button
+            onClick={() => onSaveAs(offer, alwaysAccept)}
+            className="bg-[#333] text-[#2ecc71] px-4 py-2 rounded-md hover:bg-[#444] transition-colors"
+          >
+            Save As...
+          </button>
+        )}
+        <button
+          onClick={() => onDecline(offer)}
+          className="bg-[#3a1a1a] text-red-400 px-4 py-2 rounded-md hover:bg-[#4a2a2a] transition-colors"
+        >
+          Decline
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const IncomingOffers = ({ offers, onAccept, onSaveAs, onDecline }) => (
+  <>
+    {groupOffers(offers).map((group) => (
+      <OfferPrompt
+        key={group.key}
+        group={group}
+        onAccept={onAccept}
+        onSaveAs={onSaveAs}
+        onDecline={onDecline}
+      />
+    ))}
+  </>
+);
+
+export default IncomingOffers;
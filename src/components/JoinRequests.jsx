@@ -0,0 +1,44 @@
+import React from "react";
+
+// Peers asking to join a room whose host lets them in one by one. Nobody
+// connects to them until they are let in.
+const JoinRequests = ({ requests, onAnswer }) => {
+  if (requests.length === 0) return null;
+
+  return (
+    <div className="bg-[#252627] p-6 rounded-lg shadow-lg border border-[#2ecc71] mb-8">
+      <h2 className="text-xl font-semibold mb-4 text-white">Asking to Join</h2>
+      <ul className="divide-y divide-[#333]">
+        {requests.map((request) => (
+          <li
+            key={request.peerId}
+            className="py-3 flex justify-between items-center"
+          >
+            <div className="min-w-0">
+              <p className="font-medium text-white truncate">
+                {request.displayName || "Someone without a name"}
+              </p>
+              <p className="text-xs text-gray-500 truncate">{request.peerId}</p>
+            </div>
+            <div className="flex space-x-2 ml-2 shrink-0">
+              <button
+                onClick={() => onAnswer(request.peerId, true)}
+                className="bg-[#2ecc71] text-white px-3 py-1 text-sm rounded-md hover:bg-[#27ae60] transition-colors"
+              >
+                Let In
+              </button>
+              <button
+                onClick={() => onAnswer(request.peerId, false)}
+                className="bg-[#3a1a1a] text-red-400 px-3 py-1 text-sm rounded-md hover:bg-[#4a2a2a] transition-colors"
+              >
+                Turn Away
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default JoinRequests;
@@ -16,6 +16,14 @@ const Layout = () => {
                   Home
                 </Link>
               </li>
+              <li>
+                <Link
+                  to="/history"
+                  className="hover:text-[#2ecc71] transition-colors"
+                >
+                  History
+                </Link>
+              </li>
               <li>
                 <Link
                   to="/about"
@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useRef } from "react";
+import QRCode from "qrcode";
+
+// How often the camera is checked for a QR code while scanning
+const SCAN_INTERVAL = 300;
+
+const canScanQrCodes = () =>
+  typeof window !== "undefined" &&
+  "BarcodeDetector" in window &&
+  !!navigator.mediaDevices &&
+  !!navigator.mediaDevices.getUserMedia;
+
+// A code to carry to another device, as text and as a QR code
+const SignalingCode = ({ signal, onDismiss }) => {
+  const [qrUrl, setQrUrl] = useState(null);
+  const [qrError, setQrError] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setQrUrl(null);
+    setQrError(false);
+    QRCode.toDataURL(signal.text, { errorCorrectionLevel: "L", margin: 1 })
+      .then((url) => {
+        if (!cancelled) setQrUrl(url);
+      })
+      .catch((err) => {
+        // Too long for a QR code, so it has to be copied
+        console.warn("Failed to draw QR code:", err);
+        if (!cancelled) setQrError(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [signal.text]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(signal.text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error("Failed to copy code:", err);
+    }
+  };
+
+  return (
+    <li className="bg-[#1a1b1c] rounded-md p-4">
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-sm text-gray-300">
+          {signal.type === "offer"
+            ? "Invite link: open it or scan it on the other device"
+            : "Answer: scan it or paste it on the device that invited you"}
+        </p>
+        <button
+          onClick={() => onDismiss(signal.peerId)}
+          className="ml-2 text-sm text-gray-500 hover:underline"
+        >
+          Done
+        </button>
+      </div>
+      <div className="flex flex-col md:flex-row gap-4">
+        {qrUrl && (
+          <img
+            src={qrUrl}
+            alt="QR code"
+            className="w-48 h-48 bg-white rounded-md"
+          />
+        )}
+        <div className="flex-1 min-w-0">
+          <textarea
+            readOnly
+            value={signal.text}
+            rows={5}
+            onFocus={(e) => e.target.select()}
+            className="w-full mb-2 p-2 font-mono text-xs bg-[#111] border border-[#444] rounded-md text-gray-300 break-all"
+          />
+          <button
+            onClick={copy}
+            className="bg-[#333] text-[#2ecc71] px-3 py-1 text-sm rounded-md hover:bg-[#444] transition-colors"
+          >
+            {copied ? "Copied" : "Copy"}
+          </button>
+          {qrError && (
+            <p className="mt-2 text-xs text-gray-500">
+              Too long for a QR code, copy it instead.
+            </p>
+          )}
+        </div>
+      </div>
+    </li>
+  );
+};
+
+// Reads a QR code with the camera, where the browser can detect them
+const QrScanner = ({ onScan, onCancel }) => {
+  const videoRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  // The latest handler, without restarting the camera when it changes
+  const onScanRef = useRef(onScan);
+  useEffect(() => {
+    onScanRef.current = onScan;
+  });
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: "environment" },
+        });
+        if (cancelled) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+        const scan = async () => {
+          if (cancelled) return;
+          try {
+            const codes = await detector.detect(videoRef.current);
+            if (codes.length > 0 && !cancelled) {
+              onScanRef.current(codes[0].rawValue);
+              return;
+            }
+          } catch (err) {
+            console.warn("QR detection failed:", err);
+          }
+          timer = setTimeout(scan, SCAN_INTERVAL);
+        };
+        scan();
+      } catch (err) {
+        console.error("Failed to start camera:", err);
+        if (!cancelled) setError(`Can't use the camera: ${err.message}`);
+      }
+    };
+    start();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  return (
+    <div className="mb-4">
+      {error ? (
+        <p className="mb-2 text-sm text-red-400">{error}</p>
+      ) : (
+        <video
+          ref={videoRef}
+          muted
+          playsInline
+          className="w-full max-w-sm mb-2 rounded-md bg-black"
+        />
+      )}
+      <button
+        onClick={onCancel}
+        className="bg-[#333] text-gray-300 px-3 py-1 text-sm rounded-md hover:bg-[#444] transition-colors"
+      >
+        Stop Scanning
+      </button>
+    </div>
+  );
+};
+
+// Connecting without a signaling server. Each new device gets an invite;
+// its answer comes back the same way, typed, pasted or scanned.
+const ManualSignaling = ({ signals, onInvite, onAcceptCode, onDismiss }) => {
+  const [draft, setDraft] = useState("");
+  const [isScanning, setIsScanning] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const accept = async (text) => {
+    if (!text.trim()) return;
+    try {
+      await onAcceptCode(text);
+      setDraft("");
+      setStatus({ error: false, text: "Code accepted, connecting..." });
+    } catch (err) {
+      setStatus({ error: true, text: err.message });
+    }
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    accept(draft);
+  };
+
+  const handleScan = (text) => {
+    setIsScanning(false);
+    accept(text);
+  };
+
+  return (
+    <div className="bg-[#252627] p-6 rounded-lg shadow-lg border border-[#333] mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-white">
+          Connect Without a Server
+        </h2>
+        <button
+          onClick={onInvite}
+          className="bg-[#333] text-[#2ecc71] px-4 py-2 rounded-md hover:bg-[#444] transition-colors"
+        >
+          Invite a Device
+        </button>
+      </div>
+      <p className="mb-4 text-sm text-gray-400">
+        Every device you invite gets its own link. Once it is opened there, an
+        answer code appears on that device: bring it back here.
+      </p>
+
+      {signals.length > 0 && (
+        <ul className="space-y-4 mb-4">
+          {signals.map((signal) => (
+            <SignalingCode
+              key={signal.peerId}
+              signal={signal}
+              onDismiss={onDismiss}
+            />
+          ))}
+        </ul>
+      )}
+
+      {isScanning && (
+        <QrScanner onScan={handleScan} onCancel={() => setIsScanning(false)} />
+      )}
+
+      <form onSubmit={submit}>
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          rows={3}
+          placeholder="Paste a code from another device"
+          className="w-full mb-2 p-3 font-mono text-xs bg-[#1a1b1c] border border-[#444] rounded-md text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:border-transparent"
+        />
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            disabled={!draft.trim()}
+            className={`${
+              draft.trim()
+                ? "bg-[#2ecc71] text-white hover:bg-[#27ae60]"
+                : "bg-[#1e1e1e] text-gray-500 cursor-not-allowed"
+            } px-4 py-2 rounded-md transition-colors`}
+          >
+            Use Code
+          </button>
+          {canScanQrCodes() && !isScanning && (
+            <button
+              type="button"
+              onClick={() => setIsScanning(true)}
+              className="bg-[#333] text-[#2ecc71] px-4 py-2 rounded-md hover:bg-[#444] transition-colors"
+            >
+              Scan QR Code
+            </button>
+          )}
+        </div>
+      </form>
+
+      {status && (
+        <p
+          className={`mt-2 text-sm ${
+            status.error ? "text-red-400" : "text-green-400"
+          }`}
+        >
+          {status.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ManualSignaling;
@@ -0,0 +1,40 @@
+import React from "react";
+
+// Connected peers, each selectable as a recipient for outgoing files
+const PeerList = ({ peers, verifications = {}, selectedPeerIds, onToggle }) => {
+  if (peers.length === 0) {
+    return <p className="text-sm text-gray-500 mb-4">No peers connected yet</p>;
+  }
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm text-gray-400 mb-2">
+        Send to{" "}
+        {selectedPeerIds.length === 0
+          ? "all peers"
+          : `${selectedPeerIds.length} selected`}
+      </p>
+      <div className="flex flex-wrap gap-2">
+        {peers.map((peerId) => {
+          const isSelected = selectedPeerIds.includes(peerId);
+          return (
+            <button
+              key={peerId}
+              onClick={() => onToggle(peerId)}
+              className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                isSelected
+                  ? "bg-[#2ecc71] border-[#2ecc71] text-white"
+                  : "bg-[#1e1f20] border-[#444] text-gray-300 hover:border-[#2ecc71]"
+              }`}
+            >
+              {verifications[peerId] && verifications[peerId].verified && "✓ "}
+              {peerId}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PeerList;
@@ -0,0 +1,66 @@
+import React from "react";
+import { formatFileSize } from "../utils/format";
+
+// How each kind of ICE candidate reaches the peer
+const routeLabels = {
+  host: "Direct (local network)",
+  srflx: "Direct (through NAT)",
+  prflx: "Direct (through NAT)",
+  relay: "Relayed (TURN)",
+};
+
+// A relayed candidate on either end means the data goes through TURN
+const getRoute = (stats) => {
+  if (
+    stats.localCandidateType === "relay" ||
+    stats.remoteCandidateType === "relay"
+  ) {
+    return routeLabels.relay;
+  }
+  return routeLabels[stats.localCandidateType] || "Unknown";
+};
+
+// Link statistics for each connected peer
+const PeerStats = ({ peers, stats }) => {
+  const measured = peers.filter((peerId) => stats[peerId]);
+  if (measured.length === 0) return null;
+
+  return (
+    <div className="mt-4 overflow-x-auto">
+      <table className="w-full text-sm text-left text-gray-300">
+        <thead className="text-xs text-gray-500">
+          <tr>
+            <th className="pr-4 font-normal">Peer</th>
+            <th className="pr-4 font-normal">RTT</th>
+            <th className="pr-4 font-normal">Route</th>
+            <th className="pr-4 font-normal">Sent</th>
+            <th className="font-normal">Received</th>
+          </tr>
+        </thead>
+        <tbody>
+          {measured.map((peerId) => {
+            const peerStats = stats[peerId];
+            return (
+              <tr key={peerId}>
+                <td className="pr-4 truncate max-w-[10rem]">{peerId}</td>
+                <td className="pr-4">
+                  {peerStats.rtt === null
+                    ? "-"
+                    : `${Math.round(peerStats.rtt)} ms`}
+                </td>
+                <td className="pr-4">
+                  {getRoute(peerStats)}
+                  {peerStats.protocol && ` · ${peerStats.protocol}`}
+                </td>
+                <td className="pr-4">{formatFileSize(peerStats.bytesSent)}</td>
+                <td>{formatFileSize(peerStats.bytesReceived)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PeerStats;
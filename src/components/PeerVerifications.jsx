@@ -0,0 +1,53 @@
+import React from "react";
+
+// The short authentication string of each peer connection. Both users read
+// theirs out loud; if they match, nobody is sitting in the middle.
+const PeerVerifications = ({ peers, verifications, onVerify }) => {
+  const listed = peers.filter((peerId) => verifications[peerId]);
+  if (listed.length === 0) return null;
+
+  return (
+    <div className="mt-4">
+      <p className="text-sm text-gray-400 mb-2">
+        Compare these with each peer, out loud or in person. They must match
+        exactly on both devices.
+      </p>
+      <ul className="space-y-2">
+        {listed.map((peerId) => {
+          const verification = verifications[peerId];
+          return (
+            <li
+              key={peerId}
+              className="flex justify-between items-center bg-[#252627] rounded-md px-3 py-2"
+            >
+              <div className="min-w-0">
+                <p className="text-sm text-gray-300 truncate">{peerId}</p>
+                <p className="text-xl" title={verification.words}>
+                  {verification.emoji}
+                </p>
+                <p className="text-xs text-gray-500">{verification.words}</p>
+              </div>
+              {verification.verified ? (
+                <button
+                  onClick={() => onVerify(peerId, false)}
+                  className="ml-2 text-sm text-green-400 hover:underline"
+                >
+                  ✓ Verified
+                </button>
+              ) : (
+                <button
+                  onClick={() => onVerify(peerId, true)}
+                  className="ml-2 bg-[#333] text-[#2ecc71] px-3 py-1 text-sm rounded-md hover:bg-[#444] transition-colors"
+                >
+                  They match
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default PeerVerifications;
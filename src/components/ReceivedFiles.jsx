@@ -0,0 +1,272 @@
+import React, { useCallback, useMemo, useState } from "react";
+import { formatFileSize } from "../utils/format";
+import { getPreviewKind } from "../utils/preview";
+import FilePreview from "./FilePreview";
+import {
+  createZipArchive,
+  saveFilesToDirectory,
+} from "../services/FolderExport";
+
+const IntegrityBadge = ({ integrity }) => {
+  if (integrity === "verified") {
+    return <span className="ml-2 text-xs text-green-400">✓ Verified</span>;
+  }
+  if (integrity === "corrupted") {
+    return <span className="ml-2 text-xs text-red-400">✗ Corrupted</span>;
+  }
+  return null;
+};
+
+const previewIcons = {
+  image: "🖼️",
+  video: "🎬",
+  audio: "🎵",
+  pdf: "📄",
+  text: "📝",
+};
+
+// A small preview that opens the full viewer when clicked. Images are shown
+// from the file itself, videos from the thumbnail the sender made.
+const PreviewThumbnail = ({ file, onPreview }) => {
+  const kind = getPreviewKind(file);
+  if (!kind) return null;
+
+  const source =
+    kind === "image" ? file.url : kind === "video" ? file.thumbnail : null;
+
+  return (
+    <button
+      onClick={() => onPreview(file)}
+      title="Preview"
+      className="relative mr-4 w-16 h-16 flex-shrink-0 flex items-center justify-center rounded-md bg-[#1a1b1c] overflow-hidden hover:ring-2 hover:ring-[#2ecc71]"
+    >
+      {source ? (
+        <img src={source} alt="" className="w-full h-full object-cover" />
+      ) : (
+        <span className="text-2xl">{previewIcons[kind]}</span>
+      )}
+      {kind === "video" && source && (
+        <span className="absolute text-white text-xl drop-shadow">▶</span>
+      )}
+    </button>
+  );
+};
+
+const ReceivedFolder = ({ folder, onDownloaded, onError, onPreview }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isComplete = folder.files.length >= folder.fileCount;
+  // Files downloaded one by one may be gone from here already
+  const isAvailable = folder.files.every((file) => file.blob);
+  const totalSize = folder.files.reduce((size, file) => size + file.size, 0);
+  const entries = () =>
+    folder.files.map((file) => ({ path: file.relativePath, blob: file.blob }));
+
+  const downloadZip = async () => {
+    setIsSaving(true);
+    try {
+      const archive = await createZipArchive(entries());
+      const url = URL.createObjectURL(archive);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${folder.name}.zip`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      onError(`Failed to create archive: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const saveToFolder = async () => {
+    try {
+      const directoryHandle = await window.showDirectoryPicker({
+        mode: "readwrite",
+      });
+      setIsSaving(true);
+      await saveFilesToDirectory(directoryHandle, entries());
+      folder.files.forEach(onDownloaded);
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        onError(`Failed to save folder: ${err.message}`);
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="py-4">
+      <div className="flex justify-between items-center">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="text-left"
+        >
+          <p className="font-medium text-white">
+            {isExpanded ? "▾" : "▸"} 📁 {folder.name}
+          </p>
+          <p className="text-sm text-gray-400">
+            {isComplete
+              ? `${folder.files.length} files`
+              : `${folder.files.length} of ${folder.fileCount} files`}{" "}
+            · {formatFileSize(totalSize)}
+          </p>
+        </button>
+        {isComplete && isAvailable && (
+          <div className="flex space-x-2">
+            {"showDirectoryPicker" in window && (
+              <button
+                onClick={saveToFolder}
+                disabled={isSaving}
+                className="bg-[#333] text-[#2ecc71] px-3 py-2 rounded-md hover:bg-[#444] transition-colors"
+              >
+                Save
+              </button>
+            )}
+            <button
+              onClick={downloadZip}
+              disabled={isSaving}
+              className="bg-[#333] text-[#2ecc71] px-3 py-2 rounded-md hover:bg-[#444] transition-colors"
+            >
+              {isSaving ? "Working..." : "ZIP"}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {isExpanded && (
+        <ul className="mt-2 ml-6 space-y-1">
+          {folder.files.map((file) => (
+            <li
+              key={file.relativePath}
+              className="text-sm text-gray-400 flex justify-between"
+            >
+              <span className="truncate">
+                {file.relativePath}
+                <IntegrityBadge integrity={file.integrity} />
+              </span>
+              {file.url && getPreviewKind(file) && (
+                <button
+                  onClick={() => onPreview(file)}
+                  className="ml-2 text-[#2ecc71] hover:underline"
+                >
+                  Preview
+                </button>
+              )}
+              {file.url ? (
+                <a
+                  href={file.url}
+                  download={file.name}
+                  onClick={() => onDownloaded(file)}
+                  className="ml-2 text-[#2ecc71] hover:underline"
+                >
+                  Download
+                </a>
+              ) : (
+                <span className="ml-2">Downloaded</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const ReceivedFiles = ({ files, downloadFolder, onDownloaded, onError }) => {
+  const [previewFile, setPreviewFile] = useState(null);
+  const closePreview = useCallback(() => setPreviewFile(null), []);
+
+  // Files that arrived as part of a folder are shown as one entry
+  const entries = useMemo(() => {
+    const result = [];
+    const folders = {};
+
+    files.forEach((file) => {
+      if (!file.folderId) {
+        result.push({ file });
+        return;
+      }
+
+      if (!folders[file.folderId]) {
+        folders[file.folderId] = {
+          id: file.folderId,
+          name: file.folderName,
+          fileCount: file.folderFileCount,
+          files: [],
+        };
+        result.push({ folder: folders[file.folderId] });
+      }
+      folders[file.folderId].files.push(file);
+    });
+
+    return result;
+  }, [files]);
+
+  if (files.length === 0) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        No files received yet
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="divide-y divide-[#333]">
+        {entries.map(({ file, folder }) =>
+          folder ? (
+            <ReceivedFolder
+              key={folder.id}
+              folder={folder}
+              onDownloaded={onDownloaded}
+              onError={onError}
+              onPreview={setPreviewFile}
+            />
+          ) : (
+            <div
+              key={file.fileId}
+              className="py-4 flex justify-between items-center"
+            >
+              {file.url && (
+                <PreviewThumbnail file={file} onPreview={setPreviewFile} />
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-white">
+                  {file.name}
+                  <IntegrityBadge integrity={file.integrity} />
+                </p>
+                <p className="text-sm text-gray-400">
+                  {formatFileSize(file.size)}
+                  {file.location === "disk" &&
+                    downloadFolder &&
+                    ` · saved to ${downloadFolder}`}
+                  {file.location === "save-as" && " · saved where you chose"}
+                  {file.location === "downloaded" && " · downloaded"}
+                </p>
+              </div>
+              {file.url && (
+                <a
+                  href={file.url}
+                  download={file.name}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  onClick={() => onDownloaded(file)}
+                  className="bg-[#333] text-[#2ecc71] px-4 py-2 rounded-md hover:bg-[#444] transition-colors"
+                >
+                  Download
+                </a>
+              )}
+            </div>
+          )
+        )}
+      </div>
+
+      {previewFile && <FilePreview file={previewFile} onClose={closePreview} />}
+    </>
+  );
+};
+
+export default ReceivedFiles;
@@ -0,0 +1,124 @@
+import React from "react";
+import { formatFileSize } from "../utils/format";
+
+const statusLabels = {
+  queued: { text: "Queued", className: "text-gray-400" },
+  sending: { text: "Sending...", className: "text-yellow-400" },
+  sent: { text: "✓ Sent", className: "text-green-400" },
+  declined: { text: "Declined", className: "text-gray-500" },
+  cancelled: { text: "Cancelled", className: "text-gray-500" },
+  failed: { text: "✗ Failed", className: "text-red-400" },
+};
+
+// Recipient transfer states shown with the queue's own labels
+const recipientStatuses = {
+  offered: "sending",
+  waiting: "sending",
+  active: "sending",
+  paused: "sending",
+  completed: "sent",
+  declined: "declined",
+  cancelled: "cancelled",
+  failed: "failed",
+};
+
+// Per-recipient progress and outcome for a file being sent
+const RecipientStatus = ({ transfer }) => {
+  const statusName = recipientStatuses[transfer.state];
+  const status = statusLabels[statusName];
+  const progress =
+    transfer.fileSize > 0 ? (transfer.bytesDone / transfer.fileSize) * 100 : 0;
+
+  let text = status.text;
+  if (transfer.state === "paused") {
+    text = `Paused at ${progress.toFixed(0)}%`;
+  } else if (statusName === "sending") {
+    text = `${progress.toFixed(0)}%`;
+  }
+
+  return (
+    <p className="text-xs text-gray-500 truncate">
+      → {transfer.peerId}: <span className={status.className}>{text}</span>
+      {transfer.error && ` - ${transfer.error}`}
+    </p>
+  );
+};
+
+const SendQueue = ({ items, transfers, onRemove, onClearFinished }) => {
+  if (items.length === 0) return null;
+
+  const hasFinished = items.some(
+    (item) => item.status === "sent" || item.status === "failed"
+  );
+
+  // Once part of a folder is on its way the receiver expects the rest of it
+  const startedFolderIds = new Set(
+    items
+      .filter((item) => item.folder && item.status !== "queued")
+      .map((item) => item.folder.id)
+  );
+  const canRemove = (item) =>
+    item.status === "queued" &&
+    !(item.folder && startedFolderIds.has(item.folder.id));
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-white">
+          Send Queue ({items.length})
+        </h3>
+        {hasFinished && (
+          <button
+            onClick={onClearFinished}
+            className="text-sm text-gray-400 hover:text-white transition-colors"
+          >
+            Clear finished
+          </button>
+        )}
+      </div>
+
+      <div className="divide-y divide-[#333] max-h-64 overflow-y-auto bg-[#1e1f20] rounded-md border border-[#333]">
+        {items.map((item) => {
+          const status = statusLabels[item.status];
+          return (
+            <div
+              key={item.id}
+              className="px-3 py-2 flex justify-between items-center"
+            >
+              <div className="min-w-0">
+                <p className="text-sm text-white truncate">
+                  {item.relativePath || item.file.name}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {formatFileSize(item.file.size)} ·{" "}
+                  <span className={status.className}>{status.text}</span>
+                  {item.error && ` - ${item.error}`}
+                </p>
+                {transfers
+                  .filter(
+                    (transfer) =>
+                      transfer.direction === "out" &&
+                      transfer.fileId === item.id
+                  )
+                  .map((transfer) => (
+                    <RecipientStatus key={transfer.id} transfer={transfer} />
+                  ))}
+              </div>
+              {canRemove(item) && (
+                <button
+                  onClick={() => onRemove(item.id)}
+                  className="ml-2 text-gray-500 hover:text-red-400 transition-colors"
+                  aria-label={`Remove ${item.file.name}`}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default SendQueue;
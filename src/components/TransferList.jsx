@@ -0,0 +1,181 @@
+import React, { useEffect, useState } from "react";
+import { formatDuration, formatFileSize, formatSpeed } from "../utils/format";
+import TransferManager from "../services/TransferManager";
+
+const stateLabels = {
+  offered: { text: "Waiting for you", className: "text-yellow-400" },
+  waiting: { text: "Waiting for peer", className: "text-yellow-400" },
+  active: { text: "Transferring", className: "text-[#2ecc71]" },
+  paused: { text: "Paused - reconnecting...", className: "text-yellow-400" },
+  completed: { text: "✓ Done", className: "text-green-400" },
+  declined: { text: "Declined", className: "text-gray-500" },
+  cancelled: { text: "Cancelled", className: "text-gray-500" },
+  failed: { text: "✗ Failed", className: "text-red-400" },
+};
+
+const pauseLabels = {
+  local: { text: "Paused by you", className: "text-yellow-400" },
+  remote: { text: "Paused by peer", className: "text-yellow-400" },
+};
+
+const { isFinished } = TransferManager;
+
+const TransferControls = ({ transfer, onPause, onResume, onCancel }) => {
+  // Offers are answered from the incoming offer prompt instead
+  if (isFinished(transfer) || transfer.state === "offered") return null;
+
+  return (
+    <div className="flex space-x-2 ml-2 shrink-0">
+      {transfer.pausedBy === "local" ? (
+        <button
+          onClick={() => onResume(transfer.id)}
+          className="text-xs text-[#2ecc71] hover:underline"
+        >
+          Resume
+        </button>
+      ) : (
+        <button
+          onClick={() => onPause(transfer.id)}
+          className="text-xs text-yellow-400 hover:underline"
+        >
+          Pause
+        </button>
+      )}
+      <button
+        onClick={() => onCancel(transfer.id)}
+        className="text-xs text-red-400 hover:underline"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+// Speed, time left and time taken for one transfer
+const TransferTiming = ({ transfer, now }) => {
+  if (!transfer.startedAt) return null;
+
+  const elapsed = ((transfer.finishedAt || now) - transfer.startedAt) / 1000;
+  if (transfer.state === "completed") {
+    return (
+      <p className="text-xs text-gray-500">
+        Took {formatDuration(elapsed)}
+        {elapsed > 0 &&
+          ` · average ${formatSpeed(transfer.bytesDone / elapsed)}`}
+      </p>
+    );
+  }
+  if (isFinished(transfer)) return null;
+
+  return (
+    <p className="text-xs text-gray-500">
+      {transfer.state === "active" && transfer.speed > 0
+        ? `${formatSpeed(transfer.speed)} · `
+        : ""}
+      {transfer.eta !== null && `${formatDuration(transfer.eta)} left · `}
+      {formatDuration(elapsed)} elapsed
+    </p>
+  );
+};
+
+const TransferRow = ({ transfer, now, onPause, onResume, onCancel }) => {
+  const label =
+    (transfer.state === "paused" && pauseLabels[transfer.pausedBy]) ||
+    stateLabels[transfer.state];
+  const progress =
+    transfer.fileSize > 0
+      ? (transfer.bytesDone / transfer.fileSize) * 100
+      : 100;
+
+  return (
+    <div className="px-3 py-2">
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-white truncate">
+          {transfer.direction === "out" ? "↑" : "↓"} {transfer.fileName}
+        </p>
+        <div className="flex items-center">
+          <span className={`ml-2 text-xs ${label.className}`}>
+            {label.text}
+          </span>
+          <TransferControls
+            transfer={transfer}
+            onPause={onPause}
+            onResume={onResume}
+            onCancel={onCancel}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-gray-400 truncate">
+        {transfer.direction === "out" ? "to" : "from"} {transfer.peerId} ·{" "}
+        {formatFileSize(transfer.bytesDone)} of{" "}
+        {formatFileSize(transfer.fileSize)} ({progress.toFixed(0)}%)
+        {transfer.error && ` - ${transfer.error}`}
+      </p>
+      <TransferTiming transfer={transfer} now={now} />
+      {!isFinished(transfer) && (
+        <div className="h-1 bg-[#333] rounded-full mt-1">
+          <div
+            className={`h-full rounded-full ${
+              transfer.state === "paused" ? "bg-yellow-400" : "bg-[#2ecc71]"
+            }`}
+            style={{ width: `${progress}%` }}
+          ></div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Every incoming and outgoing transfer, one row per file per peer
+const TransferList = ({
+  transfers,
+  onPause,
+  onResume,
+  onCancel,
+  onClearFinished,
+}) => {
+  const [now, setNow] = useState(Date.now());
+  const hasRunning = transfers.some((transfer) => !isFinished(transfer));
+
+  // Keep elapsed times ticking while nothing else updates the list
+  useEffect(() => {
+    if (!hasRunning) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hasRunning]);
+
+  if (transfers.length === 0) return null;
+
+  return (
+    <div className="bg-[#252627] p-6 rounded-lg shadow-lg border border-[#333] mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-white">
+          Transfers ({transfers.filter((t) => !isFinished(t)).length} active)
+        </h2>
+        {transfers.some(isFinished) && (
+          <button
+            onClick={onClearFinished}
+            className="text-sm text-gray-400 hover:text-white transition-colors"
+          >
+            Clear finished
+          </button>
+        )}
+      </div>
+
+      <div className="divide-y divide-[#333] max-h-80 overflow-y-auto bg-[#1e1f20] rounded-md border border-[#333]">
+        {transfers.map((transfer) => (
+          <TransferRow
+            key={transfer.id}
+            transfer={transfer}
+            now={Math.max(now, transfer.updatedAt)}
+            onPause={onPause}
+            onResume={onResume}
+            onCancel={onCancel}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TransferList;
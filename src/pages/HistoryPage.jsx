@@ -0,0 +1,244 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { formatFileSize } from "../utils/format";
+import {
+  clearHistory,
+  deleteTransfer,
+  getStoredFile,
+  isHistorySupported,
+  listTransfers,
+} from "../services/HistoryStore";
+
+const stateLabels = {
+  completed: { text: "✓ Done", className: "text-green-400" },
+  declined: { text: "Declined", className: "text-gray-500" },
+  cancelled: { text: "Cancelled", className: "text-gray-500" },
+  failed: { text: "✗ Failed", className: "text-red-400" },
+};
+
+// Accept a bare room ID or a whole room link, keeping the link's key
+const parseRoomInput = (value) => {
+  const match = /\/room\/([^/?#]+)(#.*)?$/.exec(value.trim());
+  return match
+    ? { roomId: match[1], hash: match[2] || "" }
+    : { roomId: value.trim(), hash: "" };
+};
+
+// Pick the room a kept file is sent to again. Defaults to the room it came
+// from, but encrypted rooms need their whole link.
+const ResendForm = ({ transfer, onResend, onCancel }) => {
+  const [room, setRoom] = useState(transfer.roomId || "");
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (room.trim()) onResend(transfer, parseRoomInput(room));
+  };
+
+  return (
+    <form onSubmit={submit} className="flex space-x-2 mt-2">
+      <input
+        type="text"
+        value={room}
+        onChange={(e) => setRoom(e.target.value)}
+        placeholder="Room ID or link"
+        autoFocus
+        className="flex-1 py-1 px-2 text-sm border rounded-md bg-[#1a1b1c] border-[#444] text-white focus:outline-none focus:ring-2 focus:ring-[#2ecc71]"
+      />
+      <button
+        type="submit"
+        className="bg-[#2ecc71] text-white px-3 py-1 text-sm rounded-md hover:bg-[#27ae60] transition-colors"
+      >
+        Open Room
+      </button>
+      <button
+        type="button"
+        onClick={onCancel}
+        className="bg-[#333] text-gray-300 px-3 py-1 text-sm rounded-md hover:bg-[#444] transition-colors"
+      >
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+const HistoryRow = ({ transfer, onDownload, onResend, onDelete }) => {
+  const [isResending, setIsResending] = useState(false);
+  const label = stateLabels[transfer.state] || {
+    text: transfer.state,
+    className: "text-gray-400",
+  };
+
+  return (
+    <li className="py-4">
+      <div className="flex justify-between items-center">
+        <div className="min-w-0">
+          <p className="font-medium text-white truncate">
+            {transfer.direction === "out" ? "↑" : "↓"} {transfer.fileName}
+          </p>
+          <p className="text-sm text-gray-400">
+            {transfer.direction === "out" ? "Sent to" : "Received from"}{" "}
+            {transfer.peerId} in room {transfer.roomId} ·{" "}
+            {new Date(transfer.finishedAt).toLocaleString()} ·{" "}
+            {formatFileSize(transfer.fileSize)} ·{" "}
+            <span className={label.className}>{label.text}</span>
+          </p>
+          {transfer.error && (
+            <p className="text-xs text-red-400">{transfer.error}</p>
+          )}
+        </div>
+        <div className="flex space-x-2 ml-2 shrink-0">
+          {transfer.hasFile && (
+            <>
+              <button
+                onClick={() => onDownload(transfer)}
+                className="bg-[#333] text-[#2ecc71] px-3 py-1 text-sm rounded-md hover:bg-[#444] transition-colors"
+              >
+                Download
+              </button>
+              <button
+                onClick={() => setIsResending(true)}
+                className="bg-[#333] text-[#2ecc71] px-3 py-1 text-sm rounded-md hover:bg-[#444] transition-colors"
+              >
+                Re-send
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => onDelete(transfer)}
+            className="bg-[#3a1a1a] text-red-400 px-3 py-1 text-sm rounded-md hover:bg-[#4a2a2a] transition-colors"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+      {isResending && (
+        <ResendForm
+          transfer={transfer}
+          onResend={onResend}
+          onCancel={() => setIsResending(false)}
+        />
+      )}
+    </li>
+  );
+};
+
+const HistoryPage = () => {
+  const navigate = useNavigate();
+  const [transfers, setTransfers] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadHistory = useCallback(() => {
+    listTransfers()
+      .then(setTransfers)
+      .catch((err) => {
+        console.error("Failed to load history:", err);
+        setError(`Failed to load history: ${err.message}`);
+        setTransfers([]);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (isHistorySupported()) loadHistory();
+  }, [loadHistory]);
+
+  const downloadFile = async (transfer) => {
+    try {
+      const record = await getStoredFile(transfer.fileId);
+      if (!record) {
+        setError(`${transfer.fileName} is no longer kept`);
+        loadHistory();
+        return;
+      }
+      const url = URL.createObjectURL(record.blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = record.name;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      setError(`Failed to download file: ${err.message}`);
+    }
+  };
+
+  // The room page queues the file once it opens
+  const resendFile = (transfer, { roomId, hash }) => {
+    navigate(`/room/${roomId}${hash}`, {
+      state: { resendFileIds: [transfer.fileId] },
+    });
+  };
+
+  const removeTransfer = async (transfer) => {
+    try {
+      await deleteTransfer(transfer.id);
+      loadHistory();
+    } catch (err) {
+      setError(`Failed to delete entry: ${err.message}`);
+    }
+  };
+
+  const removeAll = async () => {
+    if (!window.confirm("Delete the whole history and every kept file?")) {
+      return;
+    }
+    try {
+      await clearHistory();
+      loadHistory();
+    } catch (err) {
+      setError(`Failed to clear history: ${err.message}`);
+    }
+  };
+
+  if (!isHistorySupported()) {
+    return (
+      <div className="max-w-4xl mx-auto text-center py-12 text-gray-500">
+        This browser can't keep a transfer history.
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-white">History</h1>
+        {transfers && transfers.length > 0 && (
+          <button
+            onClick={removeAll}
+            className="bg-[#3a1a1a] text-red-400 px-4 py-2 rounded-md hover:bg-[#4a2a2a] transition-colors"
+          >
+            Clear History
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-[#2c1f1f] p-4 rounded-md border border-red-900 text-red-400 mb-6">
+          <p>{error}</p>
+        </div>
+      )}
+
+      <div className="bg-[#252627] p-6 rounded-lg shadow-lg border border-[#333]">
+        {transfers === null ? (
+          <p className="text-center py-12 text-gray-500">Loading...</p>
+        ) : transfers.length === 0 ? (
+          <p className="text-center py-12 text-gray-500">
+            Nothing sent or received yet
+          </p>
+        ) : (
+          <ul className="divide-y divide-[#333]">
+            {transfers.map((transfer) => (
+              <HistoryRow
+                key={transfer.id}
+                transfer={transfer}
+                onDownload={downloadFile}
+                onResend={resendFile}
+                onDelete={removeTransfer}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPage;
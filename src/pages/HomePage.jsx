@@ -1,44 +1,47 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { v4 as uuidv4 } from "uuid";
-import WebRTCService from "../services/WebRTCService";
+import { generateRoomSecret } from "../services/RoomCrypto";
+import ConnectionSettings from "../components/ConnectionSettings";
 
 const HomePage = () => {
   const [roomId, setRoomId] = useState("");
-  const [isCreating, setIsCreating] = useState(false);
-  const [error, setError] = useState(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [encryptRoom, setEncryptRoom] = useState(true);
+  const [roomPassword, setRoomPassword] = useState("");
+  const [knock, setKnock] = useState(false);
   const navigate = useNavigate();
 
+  // The room page creates the room when it finds none, with the password
+  // and knock mode passed along here, so its creator is its host
   const createRoom = () => {
     const newRoomId = uuidv4().substring(0, 8);
-    setIsCreating(true);
-    setError(null);
-
-    // First create the room via WebRTC service
-    const webrtcService = new WebRTCService();
+    // The key lives in the fragment, which browsers never send to a server
+    navigate(
+      encryptRoom
+        ? `/room/${newRoomId}#key=${generateRoomSecret()}`
+        : `/room/${newRoomId}`,
+      { state: { roomPassword: roomPassword || null, knock } }
+    );
+  };
 
-    webrtcService
-      .connect()
-      .then(() => {
-        return webrtcService.createRoom(newRoomId);
-      })
-      .then(() => {
-        // Disconnect the service - it will be recreated in RoomPage
-        webrtcService.disconnect();
-        // Navigate after successful room creation
-        navigate(`/room/${newRoomId}`);
-      })
-      .catch((err) => {
-        console.error("Failed to create room:", err);
-        setError("Failed to create room. Please try again.");
-        setIsCreating(false);
-      });
+  // Rooms without a signaling server connect devices through invites the
+  // room page hands out, so there's nothing to create first
+  const createManualRoom = () => {
+    const newRoomId = uuidv4().substring(0, 8);
+    navigate(
+      encryptRoom
+        ? `/room/${newRoomId}?signaling=manual#key=${generateRoomSecret()}`
+        : `/room/${newRoomId}?signaling=manual`
+    );
   };
 
   const joinRoom = (e) => {
     e.preventDefault();
     if (roomId.trim()) {
-      navigate(`/room/${roomId}`);
+      navigate(`/room/${roomId}`, {
+        state: passphrase ? { passphrase } : null,
+      });
     }
   };
 
@@ -53,12 +56,6 @@ const HomePage = () => {
         </p>
       </div>
 
-      {error && (
-        <div className="bg-[#2c1f1f] p-4 rounded-md border border-red-900 text-red-400 mb-6">
-          <p>{error}</p>
-        </div>
-      )}
-
       <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
         <div className="bg-[#252627] p-8 rounded-lg shadow-lg border border-[#333]">
           <h2 className="text-2xl font-semibold mb-4 text-white">
@@ -67,16 +64,42 @@ const HomePage = () => {
           <p className="mb-6 text-gray-400">
             Start a new sharing room and invite others to join
           </p>
+          <label className="flex items-center mb-4 text-sm text-gray-400">
+            <input
+              type="checkbox"
+              checked={encryptRoom}
+              onChange={(e) => setEncryptRoom(e.target.checked)}
+              className="mr-2"
+            />
+            End-to-end encrypt with a key in the room link
+          </label>
+          <label className="flex items-center mb-4 text-sm text-gray-400">
+            <input
+              type="checkbox"
+              checked={knock}
+              onChange={(e) => setKnock(e.target.checked)}
+              className="mr-2"
+            />
+            Ask me before letting anyone in
+          </label>
+          <input
+            type="password"
+            placeholder="Room password (optional)"
+            value={roomPassword}
+            onChange={(e) => setRoomPassword(e.target.value)}
+            className="w-full mb-4 p-3 bg-[#1a1b1c] border border-[#444] rounded-md text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:border-transparent"
+          />
           <button
             onClick={createRoom}
-            disabled={isCreating}
-            className={`w-full ${
-              isCreating
-                ? "bg-[#1e1e1e] text-gray-500 cursor-not-allowed"
-                : "bg-[#2ecc71] text-white hover:bg-[#27ae60]"
-            } py-3 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:ring-opacity-50 transition-colors`}
+            className="w-full bg-[#2ecc71] text-white hover:bg-[#27ae60] py-3 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:ring-opacity-50 transition-colors"
+          >
+            Create Room
+          </button>
+          <button
+            onClick={createManualRoom}
+            className="w-full mt-2 text-sm text-gray-500 hover:text-[#2ecc71] transition-colors"
           >
-            {isCreating ? "Creating Room..." : "Create Room"}
+            No server? Connect devices with invite codes or QR codes
           </button>
         </div>
 
@@ -96,6 +119,13 @@ const HomePage = () => {
               className="w-full mb-4 p-3 bg-[#1a1b1c] border border-[#444] rounded-md text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:border-transparent"
               required
             />
+            <input
+              type="password"
+              placeholder="Passphrase (optional)"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className="w-full mb-4 p-3 bg-[#1a1b1c] border border-[#444] rounded-md text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:border-transparent"
+            />
             <button
               type="submit"
               className="w-full bg-[#2ecc71] text-white py-3 px-4 rounded-md hover:bg-[#27ae60] focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:ring-opacity-50 transition-colors"
@@ -116,6 +146,8 @@ const HomePage = () => {
           <li>No data passes through our servers</li>
         </ol>
       </div>
+
+      <ConnectionSettings />
     </div>
   );
 };
@@ -1,27 +1,139 @@
 import React, { useState, useEffect, useRef } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, useLocation } from "react-router-dom";
 import WebRTCService from "../services/WebRTCService";
 import Dropzone from "react-dropzone";
+import { v4 as uuidv4 } from "uuid";
+import SendQueue from "../components/SendQueue";
+import ReceivedFiles from "../components/ReceivedFiles";
+import IncomingOffers from "../components/IncomingOffers";
+import PeerList from "../components/PeerList";
+import PeerStats from "../components/PeerStats";
+import PeerVerifications from "../components/PeerVerifications";
+import TransferList from "../components/TransferList";
+import ChatPanel from "../components/ChatPanel";
+import ManualSignaling from "../components/ManualSignaling";
+import JoinRequests from "../components/JoinRequests";
+import { getRelativePath } from "../services/FolderExport";
+import {
+  getStoredFile,
+  isHistorySupported,
+  listReceivedFiles,
+  recordTransfer,
+  storeFile,
+} from "../services/HistoryStore";
+
+// How many queued files are sent at the same time
+const SEND_CONCURRENCY = 2;
+
+// Oldest chat messages are dropped beyond this many
+const MAX_CHAT_MESSAGES = 500;
+
+// A downloaded file's scratch copy is removed once the browser has had this
+// long to read it
+const DOWNLOAD_RELEASE_DELAY = 60000;
+
+// The chat name is remembered across rooms
+const DISPLAY_NAME_KEY = "displayName";
+const loadDisplayName = () => localStorage.getItem(DISPLAY_NAME_KEY) || "";
+
+const addChatMessage = (messages, message) =>
+  [...messages, message].slice(-MAX_CHAT_MESSAGES);
+
+// Keep a file in the history so it survives a reload and can be sent again.
+// Resolves to whether it was kept.
+const keepFile = async (record) => {
+  if (!isHistorySupported()) return false;
+  try {
+    return await storeFile(record);
+  } catch (err) {
+    console.error(`Failed to keep ${record.name}:`, err);
+    return false;
+  }
+};
+
+// A received file as the received files list shows it, from its kept copy
+const restoreReceivedFile = (record) => ({
+  ...record,
+  url: URL.createObjectURL(record.blob),
+  location: "history",
+});
 
 const RoomPage = () => {
   const { roomId } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
+
+  // The room secret comes from the link's fragment or the passphrase typed on
+  // the home page. Neither is ever sent to the signaling server.
+  const [roomSecret, setRoomSecret] = useState(
+    () =>
+      new URLSearchParams(location.hash.slice(1)).get("key") ||
+      (location.state && location.state.passphrase) ||
+      null
+  );
+  const [passphraseInput, setPassphraseInput] = useState("");
+  // The room password, unlike the secret, is checked by the signaling server.
+  // Set on the home page when creating a room, or asked for when joining.
+  const [roomPassword, setRoomPassword] = useState(
+    () => (location.state && location.state.roomPassword) || null
+  );
+  const [passwordInput, setPasswordInput] = useState("");
+  const [needsPassword, setNeedsPassword] = useState(false);
+  // Whether the host of a room created here lets joiners in one by one
+  const [knockMode] = useState(() =>
+    Boolean(location.state && location.state.knock)
+  );
+  const [isWaitingForHost, setIsWaitingForHost] = useState(false);
+  const [joinRequests, setJoinRequests] = useState([]);
+  // Rooms opened with ?signaling=manual connect without the signaling
+  // server. A guest's invite comes in the fragment, next to the key.
+  const [signalingMode] = useState(() =>
+    new URLSearchParams(location.search).get("signaling") === "manual"
+      ? "manual"
+      : "websocket"
+  );
+  const [inviteCode] = useState(() =>
+    new URLSearchParams(location.hash.slice(1)).get("invite")
+  );
+  // Kept files picked on the history page to be sent again in this room
+  const [resendFileIds] = useState(
+    () => (location.state && location.state.resendFileIds) || []
+  );
 
   const [isHost, setIsHost] = useState(false);
   const [isConnected, setIsConnected] = useState(false);
   const [isConnecting, setIsConnecting] = useState(true);
+  const [isReconnecting, setIsReconnecting] = useState(false);
   const [peers, setPeers] = useState([]);
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [selectedPeerIds, setSelectedPeerIds] = useState([]);
+  const [incompatiblePeers, setIncompatiblePeers] = useState({});
+  const [peerStats, setPeerStats] = useState({});
+  const [peerVerifications, setPeerVerifications] = useState({});
+  const [sendQueue, setSendQueue] = useState([]);
+  const [isQueueRunning, setIsQueueRunning] = useState(false);
   const [receivedFiles, setReceivedFiles] = useState([]);
-  const [transferProgress, setTransferProgress] = useState(0);
-  const [isTransferring, setIsTransferring] = useState(false);
+  const [incomingOffers, setIncomingOffers] = useState([]);
+  const [transfers, setTransfers] = useState([]);
+  const [chatMessages, setChatMessages] = useState([]);
+  // Invites and answers waiting to be carried to another device
+  const [signals, setSignals] = useState([]);
+  const [displayName, setDisplayName] = useState(loadDisplayName);
   const [error, setError] = useState(null);
+  const [downloadFolder, setDownloadFolder] = useState(null);
 
   const webrtcRef = useRef(null);
+  const folderInputRef = useRef(null);
 
   // Determine if there's a successful transfer or connection
   const hasSuccessfulTransfers = receivedFiles.length > 0;
-  const canSendFile = selectedFile && isConnected && !isTransferring;
+  const queuedCount = sendQueue.filter(
+    (item) => item.status === "queued"
+  ).length;
+  const canSendFile = queuedCount > 0 && isConnected && !isQueueRunning;
+
+  // The service callbacks outlive renders, so they read these through a ref
+  const connectionStateRef = useRef({});
+  connectionStateRef.current = { hasSuccessfulTransfers, isConnected };
 
   useEffect(() => {
     console.log("Initializing WebRTC service");
@@ -30,6 +142,43 @@ const RoomPage = () => {
     const webrtcService = new WebRTCService();
     webrtcRef.current = webrtcService;
 
+    // Once a file from scratch storage is kept in the history, show it from
+    // there and free the scratch copy rather than store it twice
+    const switchToKeptCopy = async (file) => {
+      try {
+        const record = await getStoredFile(file.fileId);
+        if (!record) return;
+        const kept = restoreReceivedFile(record);
+        setReceivedFiles((prev) =>
+          prev.map((f) =>
+            f.fileId === file.fileId && f.location === "opfs"
+              ? {
+                  ...f,
+                  blob: kept.blob,
+                  url: kept.url,
+                  location: kept.location,
+                }
+              : f
+          )
+        );
+        URL.revokeObjectURL(file.url);
+        webrtcService.releaseReceivedFile(file.fileId, record.blob);
+      } catch (err) {
+        console.error(`Failed to switch ${file.name} to its kept copy:`, err);
+      }
+    };
+    webrtcService.setDisplayName(loadDisplayName());
+    webrtcService.setSignalingMode(signalingMode, { inviteCode });
+
+    const forgetIncompatiblePeer = (peerId) => {
+      setIncompatiblePeers((prev) => {
+        if (!(peerId in prev)) return prev;
+        const next = { ...prev };
+        delete next[peerId];
+        return next;
+      });
+    };
+
     // Set callbacks
     webrtcService.setCallbacks({
       onPeerConnected: (peerId) => {
@@ -38,30 +187,128 @@ const RoomPage = () => {
           if (prev.includes(peerId)) return prev;
           return [...prev, peerId];
         });
+        forgetIncompatiblePeer(peerId);
         setIsConnected(true);
         setError(null); // Clear any errors when a peer connects
       },
       onPeerDisconnected: (peerId) => {
         console.log(`Peer disconnected: ${peerId}`);
         setPeers((prev) => prev.filter((id) => id !== peerId));
+        setSelectedPeerIds((prev) => prev.filter((id) => id !== peerId));
+        forgetIncompatiblePeer(peerId);
+        setPeerStats((prev) => {
+          const next = { ...prev };
+          delete next[peerId];
+          return next;
+        });
+        setPeerVerifications((prev) => {
+          const next = { ...prev };
+          delete next[peerId];
+          return next;
+        });
+        setSignals((prev) => prev.filter((signal) => signal.peerId !== peerId));
+      },
+      onPeerIncompatible: (peerId, reason) => {
+        setIncompatiblePeers((prev) => ({ ...prev, [peerId]: reason }));
       },
-      onFileProgress: (progress) => {
-        setTransferProgress(progress);
+      onPeerStats: (peerId, stats) => {
+        setPeerStats((prev) => ({ ...prev, [peerId]: stats }));
+      },
+      onPeerVerification: (peerId, verification) => {
+        setPeerVerifications((prev) => ({ ...prev, [peerId]: verification }));
+      },
+      onChatMessage: (message) => {
+        setChatMessages((prev) => addChatMessage(prev, message));
       },
       onFileReceived: (file) => {
         console.log(`File received: ${file.name}`);
         setReceivedFiles((prev) => [...prev, file]);
-        setIsTransferring(false);
-        setTransferProgress(0);
         setError(null); // Clear any errors when a file is received
+
+        // Files saved into a folder or file the user picked are already on
+        // disk
+        if (file.location !== "disk" && file.location !== "save-as") {
+          keepFile({
+            fileId: file.fileId,
+            roomId,
+            direction: "in",
+            peerId: file.peerId,
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            blob: file.blob,
+            integrity: file.integrity,
+            thumbnail: file.thumbnail,
+            relativePath: file.relativePath,
+            folderId: file.folderId,
+            folderName: file.folderName,
+            folderFileCount: file.folderFileCount,
+            timestamp: file.timestamp,
+          }).then((kept) => {
+            if (kept && file.location === "opfs") switchToKeptCopy(file);
+          });
+        }
+      },
+      onTransferFinished: (transfer) => {
+        if (!isHistorySupported()) return;
+        recordTransfer({
+          id: transfer.id,
+          direction: transfer.direction,
+          fileId: transfer.fileId,
+          roomId,
+          peerId: transfer.peerId,
+          fileName: transfer.fileName,
+          fileSize: transfer.fileSize,
+          state: transfer.state,
+          error: transfer.error,
+          startedAt: transfer.startedAt,
+          finishedAt: transfer.finishedAt || Date.now(),
+        }).catch((err) => {
+          console.error("Failed to record transfer:", err);
+        });
+      },
+      onTransfersChanged: (list) => {
+        setTransfers(list);
+      },
+      onFileOffer: (offer) => {
+        setIncomingOffers((prev) => [...prev, offer]);
+      },
+      onFileOfferClosed: (fileId) => {
+        setIncomingOffers((prev) =>
+          prev.filter((offer) => offer.fileId !== fileId)
+        );
       },
-      onTransferStart: () => {
-        setIsTransferring(true);
-        setTransferProgress(0);
+      onSignalingCode: ({ peerId, type, code }) => {
+        // An invite is a whole link, so the other device can just open it
+        const text =
+          type === "offer"
+            ? `${
+                window.location.origin
+              }/room/${roomId}?signaling=manual#invite=${code}${
+                roomSecret ? `&key=${encodeURIComponent(roomSecret)}` : ""
+              }`
+            : code;
+        setSignals((prev) => [
+          ...prev.filter((signal) => signal.peerId !== peerId),
+          { peerId, type, text },
+        ]);
       },
-      onTransferComplete: () => {
-        setIsTransferring(false);
-        setTransferProgress(100);
+      onWaitingForHost: () => {
+        setIsWaitingForHost(true);
+      },
+      onKnock: (request) => {
+        setJoinRequests((prev) => [
+          ...prev.filter((item) => item.peerId !== request.peerId),
+          request,
+        ]);
+      },
+      onKnockCancelled: (peerId) => {
+        setJoinRequests((prev) =>
+          prev.filter((item) => item.peerId !== peerId)
+        );
+      },
+      onSignalingStateChange: (state) => {
+        setIsReconnecting(state === "reconnecting");
       },
       onError: (message) => {
         console.log(`WebRTC error: ${message}`);
@@ -70,7 +317,8 @@ const RoomPage = () => {
         if (
           (message.includes("Room doesn't exist") ||
             message.includes("connection")) &&
-          (hasSuccessfulTransfers || isConnected)
+          (connectionStateRef.current.hasSuccessfulTransfers ||
+            connectionStateRef.current.isConnected)
         ) {
           console.log(
             "Ignoring error because we're connected or have transfers"
@@ -87,26 +335,48 @@ const RoomPage = () => {
       try {
         setIsConnecting(true);
 
+        // Derive the encryption key before any peer can connect
+        if (roomSecret) {
+          await webrtcService.setRoomSecret(roomSecret, roomId);
+        }
+
         // First connect to signaling server
         await webrtcService.connect();
 
         // Try to join the room
         try {
           console.log(`Attempting to join room: ${roomId}`);
-          await webrtcService.joinRoom(roomId);
+          await webrtcService.joinRoom(roomId, { password: roomPassword });
           console.log(`Successfully joined room: ${roomId}`);
           setIsHost(false);
           setIsConnected(true);
+          setNeedsPassword(false);
           setError(null);
-
-          // If we successfully joined, we're definitely connected to at least the host
-          setPeers(["host"]);
         } catch (joinErr) {
-          console.log(`Failed to join room, attempting to create instead`);
+          // The room is there but won't have us, so creating it would fail
+          if (
+            joinErr.code === "password-required" ||
+            joinErr.code === "wrong-password"
+          ) {
+            setNeedsPassword(true);
+            setError(joinErr.message);
+            setIsConnected(false);
+            return;
+          }
+          if (!WebRTCService.isRoomNotFound(joinErr)) {
+            setError(joinErr.message);
+            setIsConnected(false);
+            return;
+          }
+
+          console.log(`Room not found, attempting to create it instead`);
 
-          // If joining fails, try to create the room
+          // If the room isn't there yet, create it
           try {
-            await webrtcService.createRoom(roomId);
+            await webrtcService.createRoom(roomId, {
+              password: roomPassword,
+              knock: knockMode,
+            });
             console.log(`Successfully created room: ${roomId}`);
             setIsHost(true);
             setIsConnected(true);
@@ -123,6 +393,7 @@ const RoomPage = () => {
         setIsConnected(false);
       } finally {
         setIsConnecting(false);
+        setIsWaitingForHost(false);
       }
     };
 
@@ -134,30 +405,267 @@ const RoomPage = () => {
         webrtcRef.current.disconnect();
       }
     };
-  }, [roomId, hasSuccessfulTransfers]);
+  }, [roomId, roomSecret, roomPassword, knockMode, signalingMode, inviteCode]);
+
+  // Work through the send queue, starting queued files as slots free up.
+  // Only files that were queued when Send was pressed go; files added during
+  // a run wait for the next press.
+  useEffect(() => {
+    if (!isQueueRunning) return;
+
+    const updateItem = (id, changes) => {
+      setSendQueue((prev) =>
+        prev.map((item) => (item.id === id ? { ...item, ...changes } : item))
+      );
+    };
+
+    const activeCount = sendQueue.filter(
+      (item) => item.status === "sending"
+    ).length;
+    const nextItems = sendQueue
+      .filter((item) => item.status === "queued" && item.sendRequested)
+      .slice(0, SEND_CONCURRENCY - activeCount);
+
+    if (activeCount === 0 && nextItems.length === 0) {
+      setIsQueueRunning(false);
+      return;
+    }
+
+    nextItems.forEach((item) => {
+      updateItem(item.id, { status: "sending" });
+      webrtcRef.current
+        .sendFile(item.file, {
+          fileId: item.id,
+          peerIds: item.peerIds,
+          relativePath: item.relativePath,
+          folder: item.folder,
+        })
+        .then((outcomes) => {
+          const delivered = Object.values(outcomes).includes("sent");
+          updateItem(item.id, {
+            status: delivered ? "sent" : "failed",
+            error: delivered ? null : "Not delivered to any peer",
+          });
+          if (delivered) {
+            keepFile({
+              fileId: item.id,
+              roomId,
+              direction: "out",
+              name: item.file.name,
+              type: item.file.type,
+              size: item.file.size,
+              blob: item.file,
+              relativePath: item.relativePath || null,
+            });
+          }
+        })
+        .catch((err) =>
+          updateItem(item.id, { status: "failed", error: err.message })
+        );
+    });
+  }, [sendQueue, isQueueRunning, roomId]);
+
+  // Files received in this room before a reload are still kept
+  useEffect(() => {
+    if (!isHistorySupported()) return;
+
+    let cancelled = false;
+    listReceivedFiles(roomId)
+      .then((records) => {
+        if (cancelled || records.length === 0) return;
+        setReceivedFiles((prev) => [
+          ...records
+            .filter((record) => !prev.some((f) => f.fileId === record.fileId))
+            .map(restoreReceivedFile),
+          ...prev,
+        ]);
+      })
+      .catch((err) => console.error("Failed to load kept files:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId]);
+
+  // Queue the files picked for re-sending on the history page
+  useEffect(() => {
+    if (resendFileIds.length === 0 || !isHistorySupported()) return;
+
+    let cancelled = false;
+    Promise.all(resendFileIds.map(getStoredFile))
+      .then((records) => {
+        if (cancelled) return;
+        const items = records.filter(Boolean).map((record) => ({
+          id: uuidv4(),
+          file: new File([record.blob], record.name, { type: record.type }),
+          status: "queued",
+        }));
+        setSendQueue((prev) => [...prev, ...items]);
+      })
+      .catch((err) => setError(`Failed to load kept files: ${err.message}`));
 
+    return () => {
+      cancelled = true;
+    };
+  }, [resendFileIds]);
+
+  // Queue picked or dropped files, grouping those that came from a folder
   const handleFileSelect = (files) => {
-    if (files && files.length > 0) {
-      setSelectedFile(files[0]);
+    if (!files || files.length === 0) return;
+
+    const folders = {};
+    const items = files.map((file) => {
+      const relativePath = getRelativePath(file);
+      const segments = relativePath.split("/");
+      if (segments.length < 2) {
+        return { id: uuidv4(), file, status: "queued" };
+      }
+
+      const folderName = segments[0];
+      if (!folders[folderName]) {
+        folders[folderName] = { id: uuidv4(), name: folderName, fileCount: 0 };
+      }
+      folders[folderName].fileCount++;
+      return {
+        id: uuidv4(),
+        file,
+        relativePath,
+        folder: folders[folderName],
+        status: "queued",
+      };
+    });
+
+    setSendQueue((prev) => [...prev, ...items]);
+  };
+
+  const handleFolderSelect = (event) => {
+    handleFileSelect(Array.from(event.target.files));
+    event.target.value = "";
+  };
+
+  // Removing a file from a folder shrinks the file count the receiver expects
+  const removeQueuedFile = (id) => {
+    setSendQueue((prev) => {
+      const removed = prev.find((item) => item.id === id);
+      if (!removed || removed.status !== "queued") return prev;
+
+      const folder = removed.folder && {
+        ...removed.folder,
+        fileCount: removed.folder.fileCount - 1,
+      };
+      return prev
+        .filter((item) => item.id !== id)
+        .map((item) =>
+          folder && item.folder && item.folder.id === folder.id
+            ? { ...item, folder }
+            : item
+        );
+    });
+  };
+
+  const clearFinishedFiles = () => {
+    setSendQueue((prev) =>
+      prev.filter(
+        (item) => item.status === "queued" || item.status === "sending"
+      )
+    );
+  };
+
+  // Queued files go to the peers selected when Send is pressed
+  const handleSendFile = () => {
+    if (!webrtcRef.current || !canSendFile) return;
+
+    const peerIds = selectedPeerIds.length > 0 ? selectedPeerIds : null;
+    setSendQueue((prev) =>
+      prev.map((item) =>
+        item.status === "queued"
+          ? { ...item, peerIds, sendRequested: true }
+          : item
+      )
+    );
+    setIsQueueRunning(true);
+  };
+
+  // Files received into scratch storage only live there until they are
+  // downloaded, after which the list just notes that they were
+  const handleFileDownloaded = (file) => {
+    if (file.location !== "opfs") return;
+
+    setTimeout(() => {
+      if (webrtcRef.current) webrtcRef.current.releaseReceivedFile(file.fileId);
+      URL.revokeObjectURL(file.url);
+      setReceivedFiles((prev) =>
+        prev.map((f) =>
+          f.fileId === file.fileId && f.location === "opfs"
+            ? { ...f, url: null, blob: null, location: "downloaded" }
+            : f
+        )
+      );
+    }, DOWNLOAD_RELEASE_DELAY);
+  };
+
+  const togglePeer = (peerId) => {
+    setSelectedPeerIds((prev) =>
+      prev.includes(peerId)
+        ? prev.filter((id) => id !== peerId)
+        : [...prev, peerId]
+    );
+  };
+
+  const acceptOffer = (offer, alwaysAccept) => {
+    if (alwaysAccept) webrtcRef.current.setAutoAccept(offer.peerId, true);
+    webrtcRef.current.acceptFile(offer.fileId);
+  };
+
+  // Pick where the file goes first, so it's written straight to disk
+  const saveOfferAs = async (offer, alwaysAccept) => {
+    try {
+      const fileHandle = await window.showSaveFilePicker({
+        suggestedName: offer.fileName,
+      });
+      if (alwaysAccept) webrtcRef.current.setAutoAccept(offer.peerId, true);
+      webrtcRef.current.acceptFile(offer.fileId, { fileHandle });
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        setError(`Failed to choose where to save: ${err.message}`);
+      }
     }
   };
 
-  const handleSendFile = async () => {
-    if (!selectedFile || !webrtcRef.current || isTransferring) return;
+  const declineOffer = (offer) => {
+    webrtcRef.current.declineFile(offer.fileId);
+  };
+
+  // Let the user pick a folder that incoming files are written straight into
+  const chooseDownloadFolder = async () => {
+    try {
+      const directoryHandle = await window.showDirectoryPicker({
+        mode: "readwrite",
+      });
+      webrtcRef.current.setDownloadDirectory(directoryHandle);
+      setDownloadFolder(directoryHandle.name);
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        setError(`Failed to choose download folder: ${err.message}`);
+      }
+    }
+  };
 
+  const sendChatMessage = (text, format) => {
     try {
-      await webrtcRef.current.sendFile(selectedFile);
+      const message = webrtcRef.current.sendChatMessage(text, { format });
+      setChatMessages((prev) => addChatMessage(prev, message));
+      return true;
     } catch (err) {
-      setError(`Failed to send file: ${err.message}`);
+      setError(`Failed to send message: ${err.message}`);
+      return false;
     }
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes < 1024) return `${bytes} B`;
-    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
-    if (bytes < 1024 * 1024 * 1024)
-      return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
-    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  const changeDisplayName = (name) => {
+    setDisplayName(name);
+    localStorage.setItem(DISPLAY_NAME_KEY, name);
+    webrtcRef.current.setDisplayName(name);
   };
 
   const copyRoomId = () => {
@@ -165,6 +673,51 @@ const RoomPage = () => {
     alert("Room ID copied to clipboard");
   };
 
+  // The link keeps the key fragment, so whoever opens it can decrypt
+  const copyRoomLink = () => {
+    navigator.clipboard.writeText(
+      `${window.location.origin}/room/${roomId}${location.hash}`
+    );
+    alert("Room link copied to clipboard");
+  };
+
+  // Reconnects with every message encrypted under the new passphrase
+  const applyPassphrase = (e) => {
+    e.preventDefault();
+    if (passphraseInput) {
+      setRoomSecret(passphraseInput);
+      setPassphraseInput("");
+    }
+  };
+
+  // Once the answer to an invite is in, the invite is done with
+  const acceptSignalingCode = async (text) => {
+    const peerId = await webrtcRef.current.acceptSignalingCode(text);
+    setSignals((prev) => prev.filter((signal) => signal.peerId !== peerId));
+  };
+
+  const dismissSignal = (peerId) => {
+    setSignals((prev) => prev.filter((signal) => signal.peerId !== peerId));
+  };
+
+  // Reconnects, trying the room with the password
+  const applyRoomPassword = (e) => {
+    e.preventDefault();
+    if (passwordInput) {
+      setRoomPassword(passwordInput);
+      setPasswordInput("");
+    }
+  };
+
+  const answerJoinRequest = (peerId, admit) => {
+    if (admit) {
+      webrtcRef.current.admitPeer(peerId);
+    } else {
+      webrtcRef.current.turnAwayPeer(peerId);
+    }
+    setJoinRequests((prev) => prev.filter((item) => item.peerId !== peerId));
+  };
+
   const leaveRoom = () => {
     if (webrtcRef.current) {
       webrtcRef.current.disconnect();
@@ -181,12 +734,23 @@ const RoomPage = () => {
         <div className="flex justify-between items-center mb-4">
           <h1 className="text-2xl font-bold text-white">Room: {roomId}</h1>
           <div className="flex space-x-2">
-            <button
-              onClick={copyRoomId}
-              className="bg-[#333] text-[#2ecc71] px-4 py-2 rounded-md hover:bg-[#444] transition-colors"
-            >
-              Copy Room ID
-            </button>
+            {/* Without a server, only an invite gets anyone in */}
+            {signalingMode !== "manual" && (
+              <>
+                <button
+                  onClick={copyRoomId}
+                  className="bg-[#333] text-[#2ecc71] px-4 py-2 rounded-md hover:bg-[#444] transition-colors"
+                >
+                  Copy Room ID
+                </button>
+                <button
+                  onClick={copyRoomLink}
+                  className="bg-[#333] text-[#2ecc71] px-4 py-2 rounded-md hover:bg-[#444] transition-colors"
+                >
+                  Copy Link
+                </button>
+              </>
+            )}
             <button
               onClick={leaveRoom}
               className="bg-[#3a1a1a] text-red-400 px-4 py-2 rounded-md hover:bg-[#4a2a2a] transition-colors"
@@ -199,8 +763,17 @@ const RoomPage = () => {
         <div className="bg-[#1e1f20] p-4 rounded-md border border-[#333] mb-4">
           <h2 className="font-semibold mb-2 text-white">Connection Status</h2>
           <p>
-            {isConnecting ? (
+            {isWaitingForHost ? (
+              <span className="text-yellow-400">
+                ⟳ Waiting for the host to let you in...
+              </span>
+            ) : isConnecting ? (
               <span className="text-yellow-400">⟳ Connecting...</span>
+            ) : isReconnecting ? (
+              <span className="text-yellow-400">
+                ⟳ Reconnecting to the signaling server... Transfers with
+                connected peers carry on.
+              </span>
             ) : isConnected ? (
               <span className="text-green-400">✓ Connected to room</span>
             ) : (
@@ -214,8 +787,63 @@ const RoomPage = () => {
             Connected peers: {effectivePeerCount}
             {!isHost && " (including host)"}
           </p>
+          {needsPassword && (
+            <form onSubmit={applyRoomPassword} className="flex mt-2 space-x-2">
+              <input
+                type="password"
+                placeholder="Room password"
+                value={passwordInput}
+                onChange={(e) => setPasswordInput(e.target.value)}
+                autoFocus
+                className="flex-1 p-2 bg-[#1a1b1c] border border-[#444] rounded-md text-white placeholder-gray-500 text-sm focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:border-transparent"
+              />
+              <button
+                type="submit"
+                className="bg-[#333] text-[#2ecc71] px-3 py-2 text-sm rounded-md hover:bg-[#444] transition-colors"
+              >
+                Join
+              </button>
+            </form>
+          )}
+          {roomSecret ? (
+            <p className="text-green-400">🔒 End-to-end encrypted</p>
+          ) : (
+            <form onSubmit={applyPassphrase} className="flex mt-2 space-x-2">
+              <input
+                type="password"
+                placeholder="Room passphrase"
+                value={passphraseInput}
+                onChange={(e) => setPassphraseInput(e.target.value)}
+                className="flex-1 p-2 bg-[#1a1b1c] border border-[#444] rounded-md text-white placeholder-gray-500 text-sm focus:outline-none focus:ring-2 focus:ring-[#2ecc71] focus:border-transparent"
+              />
+              <button
+                type="submit"
+                className="bg-[#333] text-[#2ecc71] px-3 py-2 text-sm rounded-md hover:bg-[#444] transition-colors"
+              >
+                Encrypt
+              </button>
+            </form>
+          )}
+          <PeerVerifications
+            peers={peers}
+            verifications={peerVerifications}
+            onVerify={(peerId, verified) =>
+              webrtcRef.current.markPeerVerified(peerId, verified)
+            }
+          />
+          <PeerStats peers={peers} stats={peerStats} />
         </div>
 
+        {Object.entries(incompatiblePeers).map(([peerId, reason]) => (
+          <div
+            key={peerId}
+            className="bg-[#2c2a1f] p-4 rounded-md border border-yellow-900 text-yellow-400 mb-4"
+          >
+            <p className="font-semibold">Can't exchange files with {peerId}</p>
+            <p>That peer {reason}.</p>
+          </div>
+        ))}
+
         {/* Only show error if we don't have successful transfers */}
         {error && !hasSuccessfulTransfers && !isConnected && (
           <div className="bg-[#2c1f1f] p-4 rounded-md border border-red-900 text-red-400 mb-4">
@@ -225,52 +853,71 @@ const RoomPage = () => {
         )}
       </div>
 
+      {signalingMode === "manual" && isConnected && (
+        <ManualSignaling
+          signals={signals}
+          onInvite={() => webrtcRef.current.invitePeer()}
+          onAcceptCode={acceptSignalingCode}
+          onDismiss={dismissSignal}
+        />
+      )}
+
+      <JoinRequests requests={joinRequests} onAnswer={answerJoinRequest} />
+
+      <TransferList
+        transfers={transfers}
+        onPause={(id) => webrtcRef.current.pauseTransfer(id)}
+        onResume={(id) => webrtcRef.current.resumeTransfer(id)}
+        onCancel={(id) => webrtcRef.current.cancelTransfer(id)}
+        onClearFinished={() => webrtcRef.current.clearFinishedTransfers()}
+      />
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
         <div className="bg-[#252627] p-6 rounded-lg shadow-lg border border-[#333]">
           <h2 className="text-xl font-semibold mb-4 text-white">Send Files</h2>
 
-          <Dropzone onDrop={handleFileSelect} disabled={isTransferring}>
+          <Dropzone onDrop={handleFileSelect} multiple>
             {({ getRootProps, getInputProps }) => (
               <div
                 {...getRootProps()}
-                className={`border-2 border-dashed rounded-md p-8 text-center cursor-pointer mb-4 ${
-                  isTransferring
-                    ? "bg-[#222] border-[#444]"
-                    : "border-[#444] hover:bg-[#2a2b2c]"
-                }`}
+                className="border-2 border-dashed rounded-md p-8 text-center cursor-pointer mb-4 border-[#444] hover:bg-[#2a2b2c]"
               >
                 <input {...getInputProps()} />
-                {selectedFile ? (
-                  <div>
-                    <p className="font-semibold text-white">
-                      {selectedFile.name}
-                    </p>
-                    <p className="text-gray-400">
-                      {formatFileSize(selectedFile.size)}
-                    </p>
-                  </div>
-                ) : (
-                  <p className="text-gray-400">
-                    Drag &amp; drop a file here, or click to select a file
-                  </p>
-                )}
+                <p className="text-gray-400">
+                  Drag &amp; drop files here, or click to select files
+                </p>
               </div>
             )}
           </Dropzone>
 
-          {isTransferring && (
-            <div className="mb-4">
-              <div className="h-2 bg-[#333] rounded-full mb-2">
-                <div
-                  className="h-full bg-[#2ecc71] rounded-full"
-                  style={{ width: `${transferProgress}%` }}
-                ></div>
-              </div>
-              <p className="text-center text-sm text-gray-400">
-                {transferProgress.toFixed(0)}% Complete
-              </p>
-            </div>
-          )}
+          <input
+            ref={folderInputRef}
+            type="file"
+            webkitdirectory=""
+            multiple
+            hidden
+            onChange={handleFolderSelect}
+          />
+          <button
+            onClick={() => folderInputRef.current.click()}
+            className="w-full mb-4 py-2 px-4 rounded-md bg-[#333] text-[#2ecc71] hover:bg-[#444] transition-colors"
+          >
+            Select a Folder
+          </button>
+
+          <SendQueue
+            items={sendQueue}
+            transfers={transfers}
+            onRemove={removeQueuedFile}
+            onClearFinished={clearFinishedFiles}
+          />
+
+          <PeerList
+            peers={peers}
+            verifications={peerVerifications}
+            selectedPeerIds={selectedPeerIds}
+            onToggle={togglePeer}
+          />
 
           <button
             onClick={handleSendFile}
@@ -281,7 +928,15 @@ const RoomPage = () => {
                 : "bg-[#2ecc71] text-white hover:bg-[#27ae60]"
             }`}
           >
-            {isTransferring ? "Sending..." : "Send to All Peers"}
+            {isQueueRunning
+              ? "Sending..."
+              : `Send ${queuedCount > 1 ? `${queuedCount} Files ` : ""}to ${
+                  selectedPeerIds.length === 0
+                    ? "All Peers"
+                    : selectedPeerIds.length === 1
+                    ? "1 Peer"
+                    : `${selectedPeerIds.length} Peers`
+                }`}
           </button>
 
           {!isConnected && (
@@ -292,42 +947,43 @@ const RoomPage = () => {
         </div>
 
         <div className="bg-[#252627] p-6 rounded-lg shadow-lg border border-[#333]">
-          <h2 className="text-xl font-semibold mb-4 text-white">
-            Received Files
-          </h2>
-
-          {receivedFiles.length === 0 ? (
-            <div className="text-center py-12 text-gray-500">
-              No files received yet
-            </div>
-          ) : (
-            <div className="divide-y divide-[#333]">
-              {receivedFiles.map((file, index) => (
-                <div
-                  key={index}
-                  className="py-4 flex justify-between items-center"
-                >
-                  <div>
-                    <p className="font-medium text-white">{file.name}</p>
-                    <p className="text-sm text-gray-400">
-                      {formatFileSize(file.size)}
-                    </p>
-                  </div>
-                  <a
-                    href={file.url}
-                    download={file.name}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="bg-[#333] text-[#2ecc71] px-4 py-2 rounded-md hover:bg-[#444] transition-colors"
-                  >
-                    Download
-                  </a>
-                </div>
-              ))}
-            </div>
-          )}
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-white">Received Files</h2>
+            {"showDirectoryPicker" in window && (
+              <button
+                onClick={chooseDownloadFolder}
+                className="bg-[#333] text-[#2ecc71] px-3 py-1 text-sm rounded-md hover:bg-[#444] transition-colors"
+              >
+                {downloadFolder
+                  ? `Saving to ${downloadFolder}`
+                  : "Save to Folder"}
+              </button>
+            )}
+          </div>
+
+          <IncomingOffers
+            offers={incomingOffers}
+            onAccept={acceptOffer}
+            onSaveAs={saveOfferAs}
+            onDecline={declineOffer}
+          />
+
+          <ReceivedFiles
+            files={receivedFiles}
+            downloadFolder={downloadFolder}
+            onDownloaded={handleFileDownloaded}
+            onError={setError}
+          />
         </div>
       </div>
+
+      <ChatPanel
+        messages={chatMessages}
+        canSend={peers.length > 0}
+        displayName={displayName}
+        onDisplayNameChange={changeDisplayName}
+        onSend={sendChatMessage}
+      />
     </div>
   );
 };
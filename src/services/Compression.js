@@ -0,0 +1,118 @@
+// Per-chunk compression with the browser's CompressionStream.
+//
+// Each chunk is compressed on its own so chunks can still be resent, verified
+// and written at their offset independently. A chunk that doesn't shrink is
+// sent as is.
+
+export const COMPRESSION_FORMAT = "deflate";
+
+// How much of a file of unknown type is test-compressed to decide
+const SAMPLE_SIZE = 16 * 1024;
+
+// Only compress when the sample shrinks at least this much
+const MIN_SAMPLE_RATIO = 0.8;
+
+const COMPRESSIBLE_TYPES = [
+  "application/json",
+  "application/xml",
+  "application/javascript",
+  "application/x-ndjson",
+  "application/x-yaml",
+  "application/yaml",
+  "application/sql",
+  "application/csv",
+  "image/svg+xml",
+];
+
+// Formats that are compressed already and would only cost CPU
+const INCOMPRESSIBLE_TYPES = [
+  "application/zip",
+  "application/gzip",
+  "application/x-gzip",
+  "application/x-7z-compressed",
+  "application/x-rar-compressed",
+  "application/x-bzip2",
+  "application/x-xz",
+  "application/pdf",
+];
+
+export const supportsCompression = () =>
+  typeof CompressionStream !== "undefined" &&
+  typeof DecompressionStream !== "undefined";
+
+const pipeThrough = (data, transform) =>
+  new Response(new Blob([data]).stream().pipeThrough(transform)).arrayBuffer();
+
+export const compressChunk = (data) =>
+  pipeThrough(data, new CompressionStream(COMPRESSION_FORMAT));
+
+// Inflate a chunk, giving up as soon as it grows past maxSize bytes so a
+// small frame from a peer can't expand into a huge one
+export const decompressChunk = async (data, maxSize = Infinity) => {
+  const reader = new Blob([data])
+    .stream()
+    .pipeThrough(new DecompressionStream(COMPRESSION_FORMAT))
+    .getReader();
+
+  const parts = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxSize) {
+      reader.cancel().catch(() => {});
+      throw new Error(`Chunk inflates past ${maxSize} bytes`);
+    }
+    parts.push(value);
+  }
+
+  const result = new Uint8Array(size);
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.byteLength;
+  });
+  return result.buffer;
+};
+
+// Judge a file by its MIME type: true, false, or null when it can't tell
+const isCompressibleType = (mimeType) => {
+  const type = (mimeType || "").split(";")[0].trim().toLowerCase();
+  if (!type) return null;
+
+  if (
+    type.startsWith("text/") ||
+    type.endsWith("+json") ||
+    type.endsWith("+xml") ||
+    COMPRESSIBLE_TYPES.includes(type)
+  ) {
+    return true;
+  }
+  if (
+    type.startsWith("image/") ||
+    type.startsWith("video/") ||
+    type.startsWith("audio/") ||
+    INCOMPRESSIBLE_TYPES.includes(type)
+  ) {
+    return false;
+  }
+  return null;
+};
+
+// Pick the compression for a file, or null to send it raw. Files whose type
+// doesn't say are decided by compressing a sample from their start.
+export const chooseCompression = async (file) => {
+  if (!supportsCompression() || file.size === 0) return null;
+
+  const byType = isCompressibleType(file.type);
+  if (byType !== null) {
+    return byType ? COMPRESSION_FORMAT : null;
+  }
+
+  const sample = await file.slice(0, SAMPLE_SIZE).arrayBuffer();
+  const compressed = await compressChunk(sample);
+  return compressed.byteLength < sample.byteLength * MIN_SAMPLE_RATIO
+    ? COMPRESSION_FORMAT
+    : null;
+};
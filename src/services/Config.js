@@ -0,0 +1,245 @@
+// Where the signaling server is, which ICE servers peer connections use and
+// how many data channels they stripe file chunks over.
+//
+// Each source overrides the one before it:
+//   1. the defaults below, or VITE_SIGNALING_URL and VITE_ICE_SERVERS at build
+//   2. config.json next to the app, for a deployment to set without a rebuild
+//   3. /api/config, for servers that hand out short-lived TURN credentials
+//   4. overrides the user saved in this browser
+//
+// Both files hold { signalingUrl, iceServers, ttl, bulkChannels }, all
+// optional. ttl is how many seconds the ICE servers stay valid, after which
+// the config is loaded again.
+
+const DEFAULT_SIGNALING_URL = import.meta.env.PROD
+  ? "wss://airdrop-clone-backend.onrender.com/ws"
+  : "ws://localhost:8080/ws";
+
+const DEFAULT_ICE_SERVERS = [
+  // STUN servers
+  { urls: "stun:stun.l.google.com:19302" },
+  { urls: "stun:stun1.l.google.com:19302" },
+  { urls: "stun:stun2.l.google.com:19302" },
+  // Public TURN servers - for better NAT traversal
+  {
+    urls: "turn:openrelay.metered.ca:80",
+    username: "openrelayproject",
+    credential: "openrelayproject",
+  },
+  {
+    urls: "turn:openrelay.metered.ca:443",
+    username: "openrelayproject",
+    credential: "openrelayproject",
+  },
+];
+
+const CONFIG_URLS = [
+  import.meta.env.VITE_CONFIG_URL || "/config.json",
+  "/api/config",
+];
+
+const OVERRIDES_KEY = "connectionConfig";
+
+// Give up on a config source that doesn't answer in time
+const FETCH_TIMEOUT = 3000;
+
+// Reload a little before short-lived credentials run out, but never sooner
+// than half their lifetime or this many seconds, so a short ttl can't have
+// us reloading in a loop
+const REFRESH_MARGIN = 30;
+const MIN_REFRESH_DELAY = 5;
+
+// File chunks go over this many data channels per peer unless configured
+export const DEFAULT_BULK_CHANNELS = 4;
+export const MAX_BULK_CHANNELS = 16;
+
+const ICE_URL_PATTERN = /^(stun|stuns|turn|turns):/;
+
+// A signaling URL may be relative to the page, like "/ws"
+export const resolveSignalingUrl = (url) => {
+  const resolved = new URL(url, window.location.href);
+  if (resolved.protocol === "http:") resolved.protocol = "ws:";
+  if (resolved.protocol === "https:") resolved.protocol = "wss:";
+  if (resolved.protocol !== "ws:" && resolved.protocol !== "wss:") {
+    throw new Error(`Not a WebSocket URL: ${url}`);
+  }
+  return resolved.href;
+};
+
+// Check an ICE server list from config or the user. Throws on anything
+// RTCPeerConnection would reject.
+export const validateIceServers = (iceServers) => {
+  if (!Array.isArray(iceServers)) {
+    throw new Error("ICE servers must be a list");
+  }
+  iceServers.forEach((server) => {
+    const urls = server && [].concat(server.urls);
+    if (
+      !urls ||
+      urls.length === 0 ||
+      !urls.every((url) => typeof url === "string" && ICE_URL_PATTERN.test(url))
+    ) {
+      throw new Error(
+        "Every ICE server needs urls starting with stun:, stuns:, turn: or turns:"
+      );
+    }
+  });
+  return iceServers;
+};
+
+// Check a bulk channel count from config or the user. 0 sends chunks over
+// the control channel.
+export const validateBulkChannels = (bulkChannels) => {
+  if (
+    !Number.isInteger(bulkChannels) ||
+    bulkChannels < 0 ||
+    bulkChannels > MAX_BULK_CHANNELS
+  ) {
+    throw new Error(
+      `Bulk channels must be a whole number from 0 to ${MAX_BULK_CHANNELS}`
+    );
+  }
+  return bulkChannels;
+};
+
+const parseEnvIceServers = () => {
+  if (!import.meta.env.VITE_ICE_SERVERS) return null;
+  try {
+    return validateIceServers(JSON.parse(import.meta.env.VITE_ICE_SERVERS));
+  } catch (error) {
+    console.error("Ignoring VITE_ICE_SERVERS:", error.message);
+    return null;
+  }
+};
+
+const getBuildConfig = () => ({
+  signalingUrl: import.meta.env.VITE_SIGNALING_URL || DEFAULT_SIGNALING_URL,
+  iceServers: parseEnvIceServers() || DEFAULT_ICE_SERVERS,
+  bulkChannels: DEFAULT_BULK_CHANNELS,
+});
+
+// Fetch one config source, or null when it isn't there. A static host may
+// answer any path with the app's index page, so only JSON counts.
+const fetchConfig = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+  try {
+    const response = await fetch(url, {
+      cache: "no-store",
+      signal: controller.signal,
+    });
+    const type = response.headers.get("content-type") || "";
+    if (!response.ok || !type.includes("json")) return null;
+    return await response.json();
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Take the valid fields of one source over what we have so far
+const mergeConfig = (config, source, name) => {
+  if (!source || typeof source !== "object") return config;
+  const merged = { ...config };
+
+  if (source.signalingUrl) {
+    try {
+      resolveSignalingUrl(source.signalingUrl);
+      merged.signalingUrl = source.signalingUrl;
+    } catch (error) {
+      console.error(`Ignoring signalingUrl from ${name}:`, error.message);
+    }
+  }
+  if (source.iceServers) {
+    try {
+      merged.iceServers = validateIceServers(source.iceServers);
+      merged.ttl =
+        typeof source.ttl === "number" && source.ttl > 0 ? source.ttl : null;
+      merged.expiresAt = merged.ttl ? Date.now() + merged.ttl * 1000 : null;
+    } catch (error) {
+      console.error(`Ignoring iceServers from ${name}:`, error.message);
+    }
+  }
+  if (source.bulkChannels !== undefined) {
+    try {
+      merged.bulkChannels = validateBulkChannels(source.bulkChannels);
+    } catch (error) {
+      console.error(`Ignoring bulkChannels from ${name}:`, error.message);
+    }
+  }
+  return merged;
+};
+
+// What the user saved in this browser, or an empty object
+export const getConfigOverrides = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OVERRIDES_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Save overrides, dropping empty fields. Throws if any of them is invalid.
+export const saveConfigOverrides = ({
+  signalingUrl,
+  iceServers,
+  bulkChannels,
+}) => {
+  const overrides = {};
+  if (signalingUrl) {
+    resolveSignalingUrl(signalingUrl);
+    overrides.signalingUrl = signalingUrl;
+  }
+  if (iceServers) {
+    overrides.iceServers = validateIceServers(iceServers);
+  }
+  if (bulkChannels !== null && bulkChannels !== undefined) {
+    overrides.bulkChannels = validateBulkChannels(bulkChannels);
+  }
+
+  if (Object.keys(overrides).length > 0) {
+    localStorage.setItem(OVERRIDES_KEY, JSON.stringify(overrides));
+  } else {
+    localStorage.removeItem(OVERRIDES_KEY);
+  }
+};
+
+export const clearConfigOverrides = () => {
+  localStorage.removeItem(OVERRIDES_KEY);
+};
+
+// The config without the user's overrides, for showing what they replace
+export const loadDeploymentConfig = async () => {
+  let config = { ...getBuildConfig(), ttl: null, expiresAt: null };
+  const sources = await Promise.all(CONFIG_URLS.map(fetchConfig));
+  sources.forEach((source, i) => {
+    config = mergeConfig(config, source, CONFIG_URLS[i]);
+  });
+  return config;
+};
+
+// The config to connect with:
+// { signalingUrl, iceServers, ttl, expiresAt, bulkChannels }
+export const loadConfig = async () => {
+  const config = mergeConfig(
+    await loadDeploymentConfig(),
+    getConfigOverrides(),
+    "saved settings"
+  );
+  return {
+    ...config,
+    signalingUrl: resolveSignalingUrl(config.signalingUrl),
+  };
+};
+
+// How long until the config should be loaded again, or null if it doesn't
+// expire
+export const getRefreshDelay = (config) =>
+  config.expiresAt
+    ? Math.max(
+        config.expiresAt - Date.now() - REFRESH_MARGIN * 1000,
+        config.ttl * 500,
+        MIN_REFRESH_DELAY * 1000
+      )
+    : null;
@@ -0,0 +1,22 @@
+// SHA-256 helpers for verifying transferred files with WebCrypto.
+//
+// WebCrypto can't hash incrementally, so the whole-file digest is the SHA-256
+// of the concatenated per-chunk digests (a hash list). Both sides can build it
+// chunk by chunk without ever holding the file in memory.
+
+export const DIGEST_LENGTH = 32;
+
+// Hash one chunk of file data
+export const digestChunk = async (data) =>
+  new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+
+// Hash the list of chunk digests into the digest for the whole file
+export const digestChunkList = async (chunkDigests) =>
+  toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", chunkDigests)));
+
+// Compare two digests byte by byte
+export const digestsEqual = (a, b) =>
+  a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+export const toHex = (bytes) =>
+  Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
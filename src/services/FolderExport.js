@@ -0,0 +1,155 @@
+// Helpers for handing a received folder back to the user, either as a ZIP
+// archive or written out as a directory tree.
+
+// Plain ZIP caps sizes and offsets at 32 bits
+const ZIP_MAX_SIZE = 0xffffffff;
+const ZIP_MAX_ENTRIES = 0xffff;
+
+// Split a relative path into safe segments, dropping "..", "." and empties
+export const splitRelativePath = (relativePath) =>
+  relativePath
+    .split(/[\\/]/)
+    .filter((segment) => segment && segment !== "." && segment !== "..");
+
+// The path of a file relative to the folder it was picked or dropped from
+export const getRelativePath = (file) =>
+  splitRelativePath(
+    file.relativePath || file.path || file.webkitRelativePath || file.name
+  ).join("/");
+
+let crcTable = null;
+
+// Standard CRC-32 as used by ZIP, computed over the blob's stream
+const crc32 = async (blob) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  const reader = blob.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    for (let i = 0; i < value.length; i++) {
+      crc = crcTable[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Encode a date as the MS-DOS time and date fields ZIP uses
+const toDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+// Build an uncompressed ZIP archive from { path, blob } entries. The file
+// data is referenced by the resulting Blob rather than copied into memory.
+export const createZipArchive = async (entries) => {
+  if (entries.length > ZIP_MAX_ENTRIES) {
+    throw new Error("Too many files to put in a ZIP archive");
+  }
+
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const { path, blob } of entries) {
+    const name = encoder.encode(path);
+    const crc = await crc32(blob);
+
+    if (blob.size > ZIP_MAX_SIZE || offset > ZIP_MAX_SIZE) {
+      throw new Error("Folder is too large to put in a ZIP archive");
+    }
+
+    const localHeader = new DataView(new ArrayBuffer(30));
+    localHeader.setUint32(0, 0x04034b50, true); // signature
+    localHeader.setUint16(4, 20, true); // version needed
+    localHeader.setUint16(6, 0x0800, true); // UTF-8 names
+    localHeader.setUint16(8, 0, true); // stored
+    localHeader.setUint16(10, time, true);
+    localHeader.setUint16(12, date, true);
+    localHeader.setUint32(14, crc, true);
+    localHeader.setUint32(18, blob.size, true); // compressed size
+    localHeader.setUint32(22, blob.size, true); // uncompressed size
+    localHeader.setUint16(26, name.length, true);
+    localHeader.setUint16(28, 0, true); // extra field length
+
+    const centralHeader = new DataView(new ArrayBuffer(46));
+    centralHeader.setUint32(0, 0x02014b50, true); // signature
+    centralHeader.setUint16(4, 20, true); // version made by
+    centralHeader.setUint16(6, 20, true); // version needed
+    centralHeader.setUint16(8, 0x0800, true); // UTF-8 names
+    centralHeader.setUint16(10, 0, true); // stored
+    centralHeader.setUint16(12, time, true);
+    centralHeader.setUint16(14, date, true);
+    centralHeader.setUint32(16, crc, true);
+    centralHeader.setUint32(20, blob.size, true);
+    centralHeader.setUint32(24, blob.size, true);
+    centralHeader.setUint16(28, name.length, true);
+    centralHeader.setUint32(42, offset, true); // local header offset
+
+    parts.push(localHeader, name, blob);
+    centralDirectory.push(centralHeader, name);
+    offset += 30 + name.length + blob.size;
+  }
+
+  const centralDirectorySize = centralDirectory.reduce(
+    (size, part) => size + part.byteLength,
+    0
+  );
+  if (offset > ZIP_MAX_SIZE) {
+    throw new Error("Folder is too large to put in a ZIP archive");
+  }
+
+  const endRecord = new DataView(new ArrayBuffer(22));
+  endRecord.setUint32(0, 0x06054b50, true); // signature
+  endRecord.setUint16(8, entries.length, true); // entries on this disk
+  endRecord.setUint16(10, entries.length, true); // total entries
+  endRecord.setUint32(12, centralDirectorySize, true);
+  endRecord.setUint32(16, offset, true); // central directory offset
+
+  return new Blob([...parts, ...centralDirectory, endRecord], {
+    type: "application/zip",
+  });
+};
+
+// Get a directory handle for a relative path, creating folders as needed
+export const getNestedDirectory = async (directoryHandle, segments) => {
+  let directory = directoryHandle;
+  for (const segment of segments) {
+    directory = await directory.getDirectoryHandle(segment, { create: true });
+  }
+  return directory;
+};
+
+// Write { path, blob } entries into a directory picked by the user
+export const saveFilesToDirectory = async (directoryHandle, entries) => {
+  for (const { path, blob } of entries) {
+    const segments = splitRelativePath(path);
+    const fileName = segments.pop();
+    const directory = await getNestedDirectory(directoryHandle, segments);
+    const fileHandle = await directory.getFileHandle(fileName, {
+      create: true,
+    });
+
+    const writable = await fileHandle.createWritable();
+    await writable.write(blob);
+    await writable.close();
+  }
+};
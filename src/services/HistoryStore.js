@@ -0,0 +1,168 @@
+// Transfer history and the files that went with it, kept in IndexedDB so
+// they survive a reload.
+//
+// Transfers are kept one per file per peer, like the live transfer list.
+// File contents are kept apart, once per file, so listing the history never
+// loads them, and only while they fit in the browser's storage quota.
+
+const DATABASE_NAME = "p2p-share-history";
+const DATABASE_VERSION = 1;
+const TRANSFERS_STORE = "transfers";
+const FILES_STORE = "files";
+
+// Leave this share of the quota free for everything else the app stores
+const QUOTA_HEADROOM = 0.2;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new Error("Transaction aborted"));
+  });
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      const transfers = database.createObjectStore(TRANSFERS_STORE, {
+        keyPath: "id",
+      });
+      transfers.createIndex("fileId", "fileId");
+      const files = database.createObjectStore(FILES_STORE, {
+        keyPath: "fileId",
+      });
+      files.createIndex("roomId", "roomId");
+    };
+    databasePromise = requestToPromise(request).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+};
+
+export const isHistorySupported = () => typeof indexedDB !== "undefined";
+
+// Record a finished transfer, replacing any earlier record of it
+export const recordTransfer = async (transfer) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(TRANSFERS_STORE, "readwrite");
+  transaction.objectStore(TRANSFERS_STORE).put(transfer);
+  await transactionDone(transaction);
+};
+
+// Whether a file this size still fits without crowding out everything else
+const fitsInQuota = async (size) => {
+  if (!navigator.storage || !navigator.storage.estimate) return true;
+  const { usage = 0, quota = Infinity } = await navigator.storage.estimate();
+  return usage + size <= quota * (1 - QUOTA_HEADROOM);
+};
+
+// Keep a file's contents with its metadata. Resolves to false when there is
+// no room for it.
+export const storeFile = async (record) => {
+  if (!(await fitsInQuota(record.blob.size))) {
+    console.warn(`Not keeping ${record.name}, storage is nearly full`);
+    return false;
+  }
+
+  // Ask once not to have stored files evicted under storage pressure
+  if (navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+
+  try {
+    const database = await openDatabase();
+    const transaction = database.transaction(FILES_STORE, "readwrite");
+    transaction
+      .objectStore(FILES_STORE)
+      .put({ ...record, storedAt: Date.now() });
+    await transactionDone(transaction);
+    return true;
+  } catch (error) {
+    if (error && error.name === "QuotaExceededError") {
+      console.warn(`Not keeping ${record.name}, storage is full`);
+      return false;
+    }
+    throw error;
+  }
+};
+
+export const getStoredFile = async (fileId) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(FILES_STORE, "readonly");
+  return requestToPromise(transaction.objectStore(FILES_STORE).get(fileId));
+};
+
+// Every recorded transfer, newest first, noting which files are still kept
+export const listTransfers = async () => {
+  const database = await openDatabase();
+  const transaction = database.transaction(
+    [TRANSFERS_STORE, FILES_STORE],
+    "readonly"
+  );
+  const [transfers, storedIds] = await Promise.all([
+    requestToPromise(transaction.objectStore(TRANSFERS_STORE).getAll()),
+    requestToPromise(transaction.objectStore(FILES_STORE).getAllKeys()),
+  ]);
+
+  const stored = new Set(storedIds);
+  return transfers
+    .map((transfer) => ({ ...transfer, hasFile: stored.has(transfer.fileId) }))
+    .sort((a, b) => b.finishedAt - a.finishedAt);
+};
+
+// The files received in a room that are still kept
+export const listReceivedFiles = async (roomId) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(FILES_STORE, "readonly");
+  const files = await requestToPromise(
+    transaction.objectStore(FILES_STORE).index("roomId").getAll(roomId)
+  );
+  return files
+    .filter((file) => file.direction === "in")
+    .sort((a, b) => a.storedAt - b.storedAt);
+};
+
+// Forget a transfer, and its file once no other transfer refers to it
+export const deleteTransfer = async (id) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(
+    [TRANSFERS_STORE, FILES_STORE],
+    "readwrite"
+  );
+  const transfers = transaction.objectStore(TRANSFERS_STORE);
+
+  const transfer = await requestToPromise(transfers.get(id));
+  if (transfer) {
+    transfers.delete(id);
+    const siblings = await requestToPromise(
+      transfers.index("fileId").getAllKeys(transfer.fileId)
+    );
+    if (siblings.every((siblingId) => siblingId === id)) {
+      transaction.objectStore(FILES_STORE).delete(transfer.fileId);
+    }
+  }
+  await transactionDone(transaction);
+};
+
+export const clearHistory = async () => {
+  const database = await openDatabase();
+  const transaction = database.transaction(
+    [TRANSFERS_STORE, FILES_STORE],
+    "readwrite"
+  );
+  transaction.objectStore(TRANSFERS_STORE).clear();
+  transaction.objectStore(FILES_STORE).clear();
+  await transactionDone(transaction);
+};
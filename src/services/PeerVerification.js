@@ -0,0 +1,108 @@
+// Short authentication strings for checking a peer connection out loud.
+//
+// Both ends hash the two DTLS certificate fingerprints from the SDP. Someone
+// in the middle has to terminate DTLS on each side with its own certificate,
+// so the two users would see different strings.
+
+// 64 symbols, so each one carries 6 bits. Names are for reading them aloud.
+const SAS_SYMBOLS = [
+  ["🐶", "dog"],
+  ["🐱", "cat"],
+  ["🐭", "mouse"],
+  ["🐹", "hamster"],
+  ["🐰", "rabbit"],
+  ["🦊", "fox"],
+  ["🐻", "bear"],
+  ["🐼", "panda"],
+  ["🐨", "koala"],
+  ["🐯", "tiger"],
+  ["🦁", "lion"],
+  ["🐮", "cow"],
+  ["🐷", "pig"],
+  ["🐸", "frog"],
+  ["🐵", "monkey"],
+  ["🐔", "chicken"],
+  ["🐧", "penguin"],
+  ["🦆", "duck"],
+  ["🦉", "owl"],
+  ["🐴", "horse"],
+  ["🦄", "unicorn"],
+  ["🐝", "bee"],
+  ["🐛", "caterpillar"],
+  ["🦋", "butterfly"],
+  ["🐌", "snail"],
+  ["🐞", "ladybug"],
+  ["🐢", "turtle"],
+  ["🐍", "snake"],
+  ["🐙", "octopus"],
+  ["🦀", "crab"],
+  ["🐬", "dolphin"],
+  ["🐳", "whale"],
+  ["🦈", "shark"],
+  ["🌵", "cactus"],
+  ["🌲", "tree"],
+  ["🌻", "sunflower"],
+  ["🍄", "mushroom"],
+  ["🌙", "moon"],
+  ["⭐", "star"],
+  ["🔥", "fire"],
+  ["🌈", "rainbow"],
+  ["☔", "umbrella"],
+  ["🍎", "apple"],
+  ["🍌", "banana"],
+  ["🍇", "grapes"],
+  ["🍉", "watermelon"],
+  ["🍒", "cherries"],
+  ["🍕", "pizza"],
+  ["🍩", "doughnut"],
+  ["🎂", "cake"],
+  ["⚽", "football"],
+  ["🏀", "basketball"],
+  ["🎸", "guitar"],
+  ["🎺", "trumpet"],
+  ["🚗", "car"],
+  ["🚀", "rocket"],
+  ["⚓", "anchor"],
+  ["⏰", "alarm clock"],
+  ["🔑", "key"],
+  ["🔔", "bell"],
+  ["🎁", "gift"],
+  ["📚", "books"],
+  ["✏️", "pencil"],
+  ["💡", "light bulb"],
+];
+
+// Symbols in a string, 36 bits in all
+const SAS_LENGTH = 6;
+
+// Pull the DTLS certificate fingerprint out of an SDP blob
+export const getDtlsFingerprint = (sdp) => {
+  const match = /^a=fingerprint:(\S+) ([0-9A-Fa-f:]+)\s*$/m.exec(sdp || "");
+  return match ? `${match[1].toLowerCase()} ${match[2].toUpperCase()}` : null;
+};
+
+// Derive the string both ends of a connection should see. The fingerprints
+// are sorted first so the order doesn't matter.
+export const deriveShortAuthString = async (
+  localFingerprint,
+  remoteFingerprint
+) => {
+  const input = [localFingerprint, remoteFingerprint].sort().join("|");
+  const hash = new Uint8Array(
+    await crypto.subtle.digest("SHA-256", new TextEncoder().encode(input))
+  );
+
+  // Read the hash 6 bits at a time
+  const symbols = [];
+  for (let i = 0; i < SAS_LENGTH; i++) {
+    const bit = i * 6;
+    const byte = bit >> 3;
+    const value = ((hash[byte] << 8) | hash[byte + 1]) >> (10 - (bit & 7));
+    symbols.push(SAS_SYMBOLS[value & 0x3f]);
+  }
+
+  return {
+    emoji: symbols.map(([emoji]) => emoji).join(" "),
+    words: symbols.map(([, word]) => word).join(", "),
+  };
+};
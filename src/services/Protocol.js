@@ -0,0 +1,153 @@
+import { COMPRESSION_FORMAT, supportsCompression } from "./Compression";
+
+// Wire format for the peer data channels. Control messages are JSON strings
+// on the control channel; file chunks are binary frames, striped over the
+// bulk channels, with a small fixed header:
+//
+//   offset  size  field
+//        0     1  protocol version
+//        1     1  flags
+//        2    16  file ID (the UUID's 128 bits)
+//       18     4  chunk index, little endian
+//       22    32  SHA-256 of the chunk data, only with FLAG_CHUNK_DIGEST
+//     22|54     -  chunk data, compressed with FLAG_COMPRESSED
+//
+// Everything else about the file travels once, in file-start. The digest is
+// always of the uncompressed data.
+
+// Bumped whenever either message format changes incompatibly
+export const PROTOCOL_VERSION = 3;
+
+// Optional features every client of this version supports
+const BASE_CAPABILITIES = [
+  "chunk-digests",
+  "resume",
+  "transfer-control",
+  "chat",
+  "swarm",
+];
+
+// Features this client supports, announced in hello. Compression depends on
+// the browser.
+export const getCapabilities = () =>
+  supportsCompression()
+    ? [...BASE_CAPABILITIES, COMPRESSION_FORMAT]
+    : BASE_CAPABILITIES;
+
+export const FLAG_CHUNK_DIGEST = 0x01;
+export const FLAG_COMPRESSED = 0x02;
+
+const HEADER_LENGTH = 22;
+const DIGEST_LENGTH = 32;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Pack a UUID string into its 16 bytes
+export const uuidToBytes = (uuid) => {
+  if (!UUID_PATTERN.test(uuid)) {
+    throw new Error(`Not a UUID: ${uuid}`);
+  }
+
+  const hex = uuid.replace(/-/g, "");
+  const bytes = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+};
+
+// Turn 16 bytes back into the lowercase UUID string
+export const bytesToUuid = (bytes) => {
+  const hex = Array.from(bytes, (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join("-");
+};
+
+// Build the binary frame for one chunk. The digest is optional.
+export const encodeChunkFrame = ({
+  fileId,
+  index,
+  digest = null,
+  compressed = false,
+  data,
+}) => {
+  const digestLength = digest ? DIGEST_LENGTH : 0;
+  const frame = new Uint8Array(HEADER_LENGTH + digestLength + data.byteLength);
+  const view = new DataView(frame.buffer);
+
+  view.setUint8(0, PROTOCOL_VERSION);
+  view.setUint8(
+    1,
+    (digest ? FLAG_CHUNK_DIGEST : 0) | (compressed ? FLAG_COMPRESSED : 0)
+  );
+  frame.set(uuidToBytes(fileId), 2);
+  view.setUint32(18, index, true);
+  if (digest) {
+    frame.set(digest, HEADER_LENGTH);
+  }
+  frame.set(new Uint8Array(data), HEADER_LENGTH + digestLength);
+
+  return frame.buffer;
+};
+
+// Parse a binary chunk frame. Throws if it is truncated or from another
+// protocol version.
+export const decodeChunkFrame = (buffer) => {
+  if (buffer.byteLength < HEADER_LENGTH) {
+    throw new Error("Chunk frame is too short");
+  }
+
+  const view = new DataView(buffer);
+  const version = view.getUint8(0);
+  if (version !== PROTOCOL_VERSION) {
+    throw new Error(`Unsupported chunk frame version: ${version}`);
+  }
+
+  const flags = view.getUint8(1);
+  let dataStart = HEADER_LENGTH;
+  let digest = null;
+  if (flags & FLAG_CHUNK_DIGEST) {
+    if (buffer.byteLength < HEADER_LENGTH + DIGEST_LENGTH) {
+      throw new Error("Chunk frame is too short");
+    }
+    digest = new Uint8Array(buffer, HEADER_LENGTH, DIGEST_LENGTH);
+    dataStart += DIGEST_LENGTH;
+  }
+
+  return {
+    version,
+    flags,
+    fileId: bytesToUuid(new Uint8Array(buffer, 2, 16)),
+    index: view.getUint32(18, true),
+    digest,
+    compressed: Boolean(flags & FLAG_COMPRESSED),
+    data: buffer.slice(dataStart),
+  };
+};
+
+// The first message each side sends once the control channel opens, with
+// the number of bulk channels it opened
+export const createHelloMessage = (bulkChannels) => ({
+  type: "hello",
+  version: PROTOCOL_VERSION,
+  capabilities: getCapabilities(),
+  bulkChannels,
+});
+
+// Why we can't talk to the peer that sent this hello, or null if we can
+export const getHelloError = (message) => {
+  if (typeof message.version !== "number") {
+    return "did not say which protocol version it speaks. It is probably running an older version of the app";
+  }
+  if (message.version !== PROTOCOL_VERSION) {
+    return `speaks protocol version ${message.version}, this app speaks version ${PROTOCOL_VERSION}. Both sides need to run the same version of the app`;
+  }
+  return null;
+};
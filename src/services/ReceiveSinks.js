@@ -0,0 +1,233 @@
+import { v4 as uuidv4 } from "uuid";
+import { getNestedDirectory, splitRelativePath } from "./FolderExport";
+
+// Receive sinks take the chunks of an incoming file as they arrive and write
+// them somewhere, so the receiver never has to hold the whole file in memory.
+
+// Files up to this size may be buffered in memory when no disk sink is
+// available in this browser. Several may arrive at once, so larger ones need
+// a download folder or a Save As target.
+export const MEMORY_SINK_MAX_SIZE = 64 * 1024 * 1024;
+
+// Directory inside the origin private file system used for incoming files.
+// Each page keeps its scratch files in a directory of its own in there and
+// holds a Web Lock named after it while open, so a directory whose lock is
+// free was left by a page that closed or crashed.
+const OPFS_DIRECTORY = "incoming";
+const SCRATCH_LOCK_PREFIX = "incoming-files:";
+const pageDirectoryName = uuidv4();
+let pageLockPromise = null;
+
+// Keeps chunks in memory and builds a Blob once the file is complete
+export class MemorySink {
+  constructor(fileType) {
+    this.location = "memory";
+    this.fileType = fileType;
+    this.chunks = [];
+  }
+
+  async write(index, offset, data) {
+    this.chunks[index] = data;
+  }
+
+  async close() {
+    const blob = new Blob(this.chunks, { type: this.fileType });
+    this.chunks = [];
+    return blob;
+  }
+
+  async abort() {
+    this.chunks = [];
+  }
+
+  async discard() {}
+}
+
+// Writes chunks at their offset into a File System Access file handle
+export class FileHandleSink {
+  constructor(fileHandle, location = "disk") {
+    this.location = location;
+    this.fileHandle = fileHandle;
+    this.writable = null;
+  }
+
+  async open() {
+    this.writable = await this.fileHandle.createWritable();
+    return this;
+  }
+
+  async write(index, offset, data) {
+    await this.writable.write({ type: "write", position: offset, data });
+  }
+
+  async close() {
+    await this.writable.close();
+    this.writable = null;
+    return this.fileHandle.getFile();
+  }
+
+  async abort() {
+    if (this.writable) {
+      await this.writable.abort();
+      this.writable = null;
+    }
+  }
+
+  async discard() {}
+}
+
+// Writes chunks into a scratch file in the origin private file system
+export class OpfsSink extends FileHandleSink {
+  constructor(directoryHandle, fileHandle) {
+    super(fileHandle, "opfs");
+    this.directoryHandle = directoryHandle;
+  }
+
+  async abort() {
+    await super.abort();
+    await this.discard();
+  }
+
+  // Remove the scratch file once the received file is no longer needed
+  async discard() {
+    try {
+      await this.directoryHandle.removeEntry(this.fileHandle.name);
+    } catch (error) {
+      console.warn(`Failed to remove ${this.fileHandle.name} from OPFS`, error);
+    }
+  }
+}
+
+// Check whether the origin private file system supports writable streams
+const supportsOpfs = () =>
+  typeof navigator !== "undefined" &&
+  navigator.storage &&
+  typeof navigator.storage.getDirectory === "function" &&
+  typeof FileSystemFileHandle !== "undefined" &&
+  "createWritable" in FileSystemFileHandle.prototype;
+
+// Find a name in a directory that doesn't overwrite an existing file
+const getUniqueFileHandle = async (directoryHandle, fileName) => {
+  const dotIndex = fileName.lastIndexOf(".");
+  const base = dotIndex > 0 ? fileName.slice(0, dotIndex) : fileName;
+  const extension = dotIndex > 0 ? fileName.slice(dotIndex) : "";
+
+  for (let attempt = 0; ; attempt++) {
+    const candidate =
+      attempt === 0 ? fileName : `${base} (${attempt})${extension}`;
+    try {
+      await directoryHandle.getFileHandle(candidate);
+    } catch (error) {
+      if (error.name === "NotFoundError") {
+        return directoryHandle.getFileHandle(candidate, { create: true });
+      }
+      throw error;
+    }
+  }
+};
+
+const supportsLocks = () =>
+  typeof navigator !== "undefined" && Boolean(navigator.locks);
+
+// Take this page's lock, held until the page goes away
+const holdPageLock = () => {
+  if (!pageLockPromise) {
+    pageLockPromise = supportsLocks()
+      ? new Promise((resolve) => {
+          navigator.locks.request(
+            SCRATCH_LOCK_PREFIX + pageDirectoryName,
+            () => {
+              resolve();
+              return new Promise(() => {});
+            }
+          );
+        })
+      : Promise.resolve();
+  }
+  return pageLockPromise;
+};
+
+const getPageDirectory = async () => {
+  await holdPageLock();
+  const root = await navigator.storage.getDirectory();
+  const incoming = await root.getDirectoryHandle(OPFS_DIRECTORY, {
+    create: true,
+  });
+  return incoming.getDirectoryHandle(pageDirectoryName, { create: true });
+};
+
+// Remove the scratch files of pages that closed or crashed before they could
+// clean up after themselves
+export const clearStaleScratchFiles = async () => {
+  if (!supportsOpfs() || !supportsLocks()) return;
+
+  const root = await navigator.storage.getDirectory();
+  let incoming;
+  try {
+    incoming = await root.getDirectoryHandle(OPFS_DIRECTORY);
+  } catch (error) {
+    if (error.name === "NotFoundError") return;
+    throw error;
+  }
+
+  const names = [];
+  for await (const name of incoming.keys()) {
+    if (name !== pageDirectoryName) names.push(name);
+  }
+
+  for (const name of names) {
+    await navigator.locks.request(
+      SCRATCH_LOCK_PREFIX + name,
+      { ifAvailable: true },
+      async (lock) => {
+        if (!lock) return;
+        try {
+          await incoming.removeEntry(name, { recursive: true });
+          console.log(`Removed stale scratch files: ${name}`);
+        } catch (error) {
+          console.warn(`Failed to remove stale scratch files: ${name}`, error);
+        }
+      }
+    );
+  }
+};
+
+// Pick the best sink for an incoming file. A file or directory chosen by the
+// user wins, then OPFS, and memory is only used as a fallback for small files.
+// Files that are part of a folder keep their place in its tree on disk.
+export const createReceiveSink = async (
+  { fileId, fileName, fileType, fileSize, relativePath },
+  { directoryHandle = null, fileHandle = null } = {}
+) => {
+  if (fileHandle) {
+    return new FileHandleSink(fileHandle, "save-as").open();
+  }
+
+  if (directoryHandle) {
+    const folders = relativePath ? splitRelativePath(relativePath) : [];
+    folders.pop();
+    const directory = await getNestedDirectory(directoryHandle, folders);
+    const fileHandle = await getUniqueFileHandle(directory, fileName);
+    return new FileHandleSink(fileHandle).open();
+  }
+
+  if (supportsOpfs()) {
+    try {
+      const directory = await getPageDirectory();
+      const fileHandle = await directory.getFileHandle(fileId, {
+        create: true,
+      });
+      return await new OpfsSink(directory, fileHandle).open();
+    } catch (error) {
+      console.warn("OPFS unavailable, falling back to memory", error);
+    }
+  }
+
+  if (fileSize > MEMORY_SINK_MAX_SIZE) {
+    throw new Error(
+      `${fileName} is too large to receive into memory. Choose a download folder or use Save As.`
+    );
+  }
+
+  return new MemorySink(fileType);
+};
@@ -0,0 +1,102 @@
+// End-to-end encryption of everything sent over the data channels, keyed by
+// a secret the signaling server never sees: a passphrase, or a random key
+// carried in the room link's fragment.
+//
+// Sealed messages are binary frames:
+//
+//   offset  size  field
+//        0     1  ENCRYPTED_FRAME_MARKER
+//        1     1  payload kind, text or binary
+//        2    12  AES-GCM IV, random per message
+//       14     -  ciphertext with the 16-byte tag
+
+// Chunk frames start with the protocol version, which never reaches this
+export const ENCRYPTED_FRAME_MARKER = 0xe0;
+
+const KIND_TEXT = 0;
+const KIND_BINARY = 1;
+const IV_LENGTH = 12;
+const HEADER_LENGTH = 2 + IV_LENGTH;
+
+// Slows down guessing a weak passphrase
+const PBKDF2_ITERATIONS = 250000;
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+// A random 256-bit secret for an invite link
+export const generateRoomSecret = () =>
+  toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+
+// Derive the AES-GCM key for a room. The room ID salts it, so the same
+// passphrase gives a different key in every room.
+export const deriveRoomKey = async (secret, roomId) => {
+  const encoder = new TextEncoder();
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  return crypto.subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: encoder.encode(`p2p-share-room:${roomId}`),
+      iterations: PBKDF2_ITERATIONS,
+    },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+};
+
+export const isEncryptedFrame = (data) =>
+  data instanceof ArrayBuffer &&
+  data.byteLength > HEADER_LENGTH &&
+  new Uint8Array(data, 0, 1)[0] === ENCRYPTED_FRAME_MARKER;
+
+// Seal a control message string or a binary frame
+export const encryptMessage = async (key, data) => {
+  const isText = typeof data === "string";
+  const plaintext = isText ? new TextEncoder().encode(data) : data;
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    plaintext
+  );
+
+  const frame = new Uint8Array(HEADER_LENGTH + ciphertext.byteLength);
+  frame[0] = ENCRYPTED_FRAME_MARKER;
+  frame[1] = isText ? KIND_TEXT : KIND_BINARY;
+  frame.set(iv, 2);
+  frame.set(new Uint8Array(ciphertext), HEADER_LENGTH);
+  return frame.buffer;
+};
+
+// Open a sealed frame back into what was sent. Throws if the frame was made
+// with another key or tampered with.
+export const decryptMessage = async (key, frame) => {
+  const header = new Uint8Array(frame, 0, HEADER_LENGTH);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: header.slice(2) },
+      key,
+      frame.slice(HEADER_LENGTH)
+    );
+  } catch {
+    throw new Error("Decryption failed");
+  }
+
+  return header[1] === KIND_TEXT
+    ? new TextDecoder().decode(plaintext)
+    : plaintext;
+};
@@ -0,0 +1,279 @@
+import { v4 as uuidv4 } from "uuid";
+import {
+  compressChunk,
+  decompressChunk,
+  supportsCompression,
+} from "./Compression";
+
+// Signaling transports carry the room and connection setup messages between
+// peers. Each one has the same shape:
+//
+//   connect()        resolves once messages can be sent
+//   send(message)    sends a message to the room or the peer in its "to" field
+//   isOpen()         whether send() gets anywhere right now
+//   close()          stops for good, without calling onClose
+//   onMessage        called with each message for us
+//   onClose          called if the transport drops on its own
+//   onError          called with a message for the user
+//   trickleIce       whether ICE candidates can follow a description, or
+//                    have to be gathered into it before it is sent
+
+// Relays through the signaling server over a WebSocket
+export class WebSocketTransport {
+  constructor(url) {
+    this.url = url;
+    this.socket = null;
+    this.trickleIce = true;
+    this.onMessage = null;
+    this.onClose = null;
+    this.onError = null;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      this.socket = socket;
+
+      socket.onopen = () => resolve();
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (err) {
+          console.error("Error parsing websocket message:", err);
+          if (this.onError) this.onError("Failed to parse signaling message");
+          return;
+        }
+        if (this.onMessage) this.onMessage(message);
+      };
+
+      socket.onerror = (error) => {
+        console.error("WebSocket error:", error);
+        reject(error);
+      };
+
+      socket.onclose = () => {
+        if (this.onClose) this.onClose();
+      };
+    });
+  }
+
+  isOpen() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  send(message) {
+    this.socket.send(JSON.stringify(message));
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+// Codes are "p2p1", "z" for deflated or "j" for plain JSON, then base64url
+const CODE_PREFIX = "p2p1";
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+// Pack an offer or answer into text short enough to paste or put in a QR code
+export const encodeSignalingCode = async (signal) => {
+  const json = new TextEncoder().encode(JSON.stringify(signal));
+  if (!supportsCompression()) {
+    return `${CODE_PREFIX}j${toBase64Url(json)}`;
+  }
+  const compressed = new Uint8Array(await compressChunk(json));
+  return `${CODE_PREFIX}z${toBase64Url(compressed)}`;
+};
+
+// Read a code back, from the code itself or an invite link holding one.
+// Throws if it isn't a code.
+export const decodeSignalingCode = async (text) => {
+  const trimmed = text.trim();
+  const linked = /[#&]invite=([^&]+)/.exec(trimmed);
+  const code = linked ? decodeURIComponent(linked[1]) : trimmed;
+
+  if (!code.startsWith(CODE_PREFIX)) {
+    throw new Error("That isn't a connection code");
+  }
+
+  let signal;
+  try {
+    const format = code.charAt(CODE_PREFIX.length);
+    let bytes = fromBase64Url(code.slice(CODE_PREFIX.length + 1));
+    if (format === "z") bytes = new Uint8Array(await decompressChunk(bytes));
+    else if (format !== "j") throw new Error(`Unknown format ${format}`);
+    signal = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    console.error("Failed to read connection code:", error);
+    throw new Error("That connection code is damaged or incomplete");
+  }
+
+  if (
+    !signal ||
+    (signal.type !== "offer" && signal.type !== "answer") ||
+    typeof signal.from !== "string" ||
+    typeof signal.to !== "string" ||
+    !signal.description
+  ) {
+    throw new Error("That isn't a connection code");
+  }
+  return signal;
+};
+
+// Signaling without a server. The user carries each offer and answer to the
+// other device as a code, so ICE candidates can't trickle after them.
+//
+// With no server to keep the room, this answers room requests itself. The
+// device sending an invite picks the peer ID of the one it invites, so both
+// sides know each other by the same IDs.
+export class ManualTransport {
+  constructor(inviteCode = null) {
+    this.inviteCode = inviteCode;
+    this.invite = null;
+    this.roomId = null;
+    this.peerId = null;
+    this.open = false;
+    this.trickleIce = false;
+    this.onMessage = null;
+    this.onClose = null;
+    this.onError = null;
+    // Called with { peerId, type, code } for each code to show the user
+    this.onCode = null;
+  }
+
+  async connect() {
+    // Read the invite up front so a bad one fails the join
+    if (this.inviteCode) {
+      this.invite = await decodeSignalingCode(this.inviteCode);
+    }
+    this.open = true;
+  }
+
+  isOpen() {
+    return this.open;
+  }
+
+  send(message) {
+    switch (message.type) {
+      case "create-room":
+        this.roomId = message.roomId;
+        this.peerId = uuidv4();
+        this.deliver({
+          type: "room-created",
+          roomId: this.roomId,
+          peerId: this.peerId,
+        });
+        break;
+
+      case "join-room":
+        // Only an invite gets us into a room started on another device
+        if (!this.invite || this.invite.roomId !== message.roomId) {
+          this.deliver({
+            type: "error",
+            code: "room-not-found",
+            data: "Room doesn't exist",
+          });
+          break;
+        }
+        this.roomId = message.roomId;
+        this.peerId = this.invite.to;
+        this.deliver({
+          type: "room-joined",
+          roomId: this.roomId,
+          peerId: this.peerId,
+        });
+        this.deliver({
+          type: "offer",
+          from: this.invite.from,
+          data: this.invite.description,
+        });
+        break;
+
+      case "offer":
+      case "answer":
+        encodeSignalingCode({
+          type: message.type,
+          roomId: this.roomId,
+          from: this.peerId,
+          to: message.to,
+          description: message.data,
+        })
+          .then((code) => {
+            if (this.onCode) {
+              this.onCode({ peerId: message.to, type: message.type, code });
+            }
+          })
+          .catch((error) => {
+            console.error("Failed to encode connection code:", error);
+          });
+        break;
+
+      case "ice-candidate":
+        // Already part of the description
+        break;
+
+      case "leave-room":
+        break;
+
+      default:
+        console.warn(`No server to send ${message.type} to`);
+    }
+  }
+
+  // Start connecting to one more device, under a new peer ID
+  invitePeer() {
+    const peerId = uuidv4();
+    this.deliver({ type: "new-peer", from: peerId });
+    return peerId;
+  }
+
+  // Take a code the user brought from another device. Resolves to the peer
+  // it came from.
+  async acceptCode(text) {
+    const signal = await decodeSignalingCode(text);
+    if (signal.roomId !== this.roomId) {
+      throw new Error("That code is for another room");
+    }
+    if (signal.to !== this.peerId) {
+      throw new Error("That code is for another device");
+    }
+    this.deliver({
+      type: signal.type,
+      from: signal.from,
+      data: signal.description,
+    });
+    return signal.from;
+  }
+
+  close() {
+    this.open = false;
+  }
+
+  // Hand a message to the service after the request that caused it returns,
+  // the way one from a server would arrive
+  deliver(message) {
+    setTimeout(() => {
+      if (this.open && this.onMessage) this.onMessage(message);
+    }, 0);
+  }
+}
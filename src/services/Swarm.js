@@ -0,0 +1,173 @@
+// Swarm distribution: every receiver of a file passes the chunks it already
+// holds on to the other receivers, so the sender's uplink stops being the
+// bottleneck when a file goes to many peers.
+//
+// The sender starts each receiver at a different point in the file and skips
+// chunks the receiver says it already has. Receivers tell the sender and each
+// other what they hold with "have" messages:
+//
+//   { type: "have", fileId, ranges: [[start, end), ...] }
+//   { type: "have", fileId, complete: true }
+//
+// Ranges are cumulative, so a lost or late message is made up for by the next
+// one. Receivers ask each other for chunks with chunk-request, the same
+// message they ask the sender with.
+//
+// Another receiver's word is no proof of what the sender sent, so the sender
+// hands every receiver the digest of each chunk as it first hashes it:
+//
+//   { type: "chunk-digests", fileId, start, digests: "<base64>" }
+//
+// digests holds the digests of chunks start, start + 1, ... back to back.
+// Receivers only ask each other for chunks whose digest they have, and check
+// what they are passed against it.
+
+// Ranges [start, end) of the chunks set in a bitmap
+export const getHeldRanges = (bitmap) => {
+  const ranges = [];
+  let start = -1;
+
+  for (let i = 0; i <= bitmap.length; i++) {
+    const held = i < bitmap.length && bitmap[i];
+    if (held && start === -1) {
+      start = i;
+    } else if (!held && start !== -1) {
+      ranges.push([start, i]);
+      start = -1;
+    }
+  }
+
+  return ranges;
+};
+
+// Ranges covering a sorted list of chunk indices
+export const indicesToRanges = (indices) => {
+  const ranges = [];
+  indices.forEach((index) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === index) {
+      last[1] = index + 1;
+    } else {
+      ranges.push([index, index + 1]);
+    }
+  });
+  return ranges;
+};
+
+// The chunk indices in ranges from a peer, clamped to the file and capped
+export const rangesToIndices = (ranges, totalChunks, limit = Infinity) => {
+  const indices = [];
+  if (!Array.isArray(ranges)) return indices;
+
+  for (const range of ranges) {
+    if (!Array.isArray(range)) continue;
+    const start = Math.max(0, Math.floor(Number(range[0])) || 0);
+    const end = Math.min(totalChunks, Math.floor(Number(range[1])) || 0);
+    for (let i = start; i < end && indices.length < limit; i++) {
+      indices.push(i);
+    }
+  }
+  return indices;
+};
+
+// Record what a peer says it holds
+export const applyHave = (bitmap, message) => {
+  if (message.complete === true) {
+    bitmap.fill(1);
+    return;
+  }
+  rangesToIndices(message.ranges, bitmap.length).forEach((index) => {
+    bitmap[index] = 1;
+  });
+};
+
+// Every chunk, starting at this receiver's share of the file so each
+// receiver gets a different part from the sender first
+export const getStaggeredRanges = (totalChunks, position, count) => {
+  const start = Math.floor((totalChunks * position) / count);
+  return [
+    [start, totalChunks],
+    [0, start],
+  ].filter(([rangeStart, rangeEnd]) => rangeStart < rangeEnd);
+};
+
+// Pick which missing chunks to ask which peer for. Lower chunks go first so
+// what we hold stays in few ranges, and each chunk goes to whichever of its
+// holders has the fewest requests outstanding. Chunks not marked in
+// checkable, when given, are left for the sender. Returns { peerId: [index] }.
+export const pickChunkRequests = (
+  chunkBitmap,
+  requested,
+  peerChunks,
+  maxPerPeer,
+  checkable = null
+) => {
+  const load = {};
+  Object.keys(peerChunks).forEach((peerId) => {
+    load[peerId] = 0;
+  });
+  requested.forEach(({ peerId }) => {
+    if (peerId in load) load[peerId]++;
+  });
+
+  const picks = {};
+  for (let i = 0; i < chunkBitmap.length; i++) {
+    if (chunkBitmap[i] || requested.has(i)) continue;
+    if (checkable && !checkable[i]) continue;
+
+    let best = null;
+    Object.entries(peerChunks).forEach(([peerId, bitmap]) => {
+      if (
+        bitmap[i] &&
+        load[peerId] < maxPerPeer &&
+        (best === null || load[peerId] < load[best])
+      ) {
+        best = peerId;
+      }
+    });
+    if (best === null) continue;
+
+    load[best]++;
+    (picks[best] = picks[best] || []).push(i);
+    if (Object.values(load).every((count) => count >= maxPerPeer)) break;
+  }
+
+  return picks;
+};
+
+// A chunk-digests message for the digests of chunks [start, end)
+export const createDigestsMessage = (fileId, digests, start, end, length) => {
+  let binary = "";
+  digests.subarray(start * length, end * length).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return { type: "chunk-digests", fileId, start, digests: btoa(binary) };
+};
+
+// Copy the digests in a chunk-digests message into a file's digest list and
+// mark them known. Ignores a message that doesn't fit the file.
+export const applyDigestsMessage = (digests, known, message, length) => {
+  if (!Number.isInteger(message.start) || typeof message.digests !== "string") {
+    return;
+  }
+
+  let bytes;
+  try {
+    bytes = Uint8Array.from(atob(message.digests), (char) =>
+      char.charCodeAt(0)
+    );
+  } catch {
+    return;
+  }
+  const count = bytes.length / length;
+  if (
+    !Number.isInteger(count) ||
+    message.start < 0 ||
+    message.start + count > known.length
+  ) {
+    return;
+  }
+
+  digests.set(bytes, message.start * length);
+  known.fill(1, message.start, message.start + count);
+};
@@ -0,0 +1,97 @@
+// Small JPEG thumbnails of images and videos, sent along with the file offer
+// so the receiver can see what's coming before accepting it.
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 160;
+const THUMBNAIL_QUALITY = 0.7;
+
+// Thumbnails travel inside a control message, so they must stay small
+export const MAX_THUMBNAIL_LENGTH = 48 * 1024;
+
+// Larger images aren't decoded just for a thumbnail
+const MAX_IMAGE_SIZE = 50 * 1024 * 1024;
+
+// Give up on a video that won't produce a frame in time
+const VIDEO_FRAME_TIMEOUT = 5000;
+
+const THUMBNAIL_PATTERN =
+  /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/=]+$/;
+
+// Draw a source scaled down to fit the thumbnail size
+const drawThumbnail = (source, width, height) => {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext("2d").drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", THUMBNAIL_QUALITY);
+};
+
+const imageThumbnail = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  try {
+    return drawThumbnail(bitmap, bitmap.width, bitmap.height);
+  } finally {
+    bitmap.close();
+  }
+};
+
+// Grab a frame a little way into the video, past any black lead-in
+const videoThumbnail = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement("video");
+    const timer = setTimeout(
+      () => finish(new Error("Timed out")),
+      VIDEO_FRAME_TIMEOUT
+    );
+
+    const finish = (error, result) => {
+      clearTimeout(timer);
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    video.muted = true;
+    video.preload = "metadata";
+    video.onloadedmetadata = () => {
+      video.currentTime = Math.min(1, video.duration / 10 || 0);
+    };
+    video.onseeked = () => {
+      try {
+        finish(null, drawThumbnail(video, video.videoWidth, video.videoHeight));
+      } catch (error) {
+        finish(error);
+      }
+    };
+    video.onerror = () => finish(new Error("Could not load video"));
+    video.src = url;
+  });
+
+// Make a thumbnail for a file, or null when it isn't an image or video or
+// the browser can't decode it
+export const createThumbnail = async (file) => {
+  try {
+    let thumbnail = null;
+    if (file.type.startsWith("image/") && file.size <= MAX_IMAGE_SIZE) {
+      thumbnail = await imageThumbnail(file);
+    } else if (file.type.startsWith("video/")) {
+      thumbnail = await videoThumbnail(file);
+    }
+    return thumbnail && thumbnail.length <= MAX_THUMBNAIL_LENGTH
+      ? thumbnail
+      : null;
+  } catch (error) {
+    console.warn(`No thumbnail for ${file.name}: ${error.message}`);
+    return null;
+  }
+};
+
+// Only accept thumbnails from peers that are plain, small image data URLs
+export const isValidThumbnail = (thumbnail) =>
+  typeof thumbnail === "string" &&
+  thumbnail.length <= MAX_THUMBNAIL_LENGTH &&
+  THUMBNAIL_PATTERN.test(thumbnail);
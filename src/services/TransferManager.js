@@ -0,0 +1,167 @@
+// Speed is re-estimated at most this often
+const SPEED_SAMPLE_INTERVAL = 500;
+
+// onChange is batched to at most one call per this many milliseconds
+const CHANGE_THROTTLE = 250;
+
+// States a transfer can't leave once it reaches them
+const FINISHED_STATES = ["completed", "declined", "cancelled", "failed"];
+
+// Tracks every incoming and outgoing transfer, one per file per peer
+class TransferManager {
+  constructor() {
+    this.transfers = {};
+
+    // Called with (transfer, previousState) on every change
+    this.onUpdate = null;
+    // Called with the list of all transfers, throttled
+    this.onChange = null;
+
+    this.changeTimer = null;
+  }
+
+  static transferId(direction, fileId, peerId) {
+    return `${direction}:${fileId}:${peerId}`;
+  }
+
+  static isFinished(transfer) {
+    return FINISHED_STATES.includes(transfer.state);
+  }
+
+  // Start tracking a transfer. Direction is "in" or "out".
+  create({ direction, fileId, peerId, fileName, fileSize, state }) {
+    const now = Date.now();
+    const transfer = {
+      id: TransferManager.transferId(direction, fileId, peerId),
+      direction,
+      fileId,
+      peerId,
+      fileName,
+      fileSize,
+      bytesDone: 0,
+      // Bytes per second, smoothed
+      speed: 0,
+      // Seconds left at the current speed, null while unknown
+      eta: null,
+      state,
+      // Who paused it: "local", "remote", or null for a dropped connection
+      pausedBy: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      // When data first started moving, and when the transfer ended
+      startedAt: null,
+      finishedAt: null,
+      lastSampleAt: now,
+      lastSampleBytes: 0,
+    };
+
+    this.transfers[transfer.id] = transfer;
+    this.notify(transfer, null);
+    return transfer;
+  }
+
+  get(id) {
+    return this.transfers[id] || null;
+  }
+
+  update(id, changes) {
+    const transfer = this.transfers[id];
+    if (!transfer || TransferManager.isFinished(transfer)) return;
+
+    const previousState = transfer.state;
+    const now = Date.now();
+    Object.assign(transfer, changes, { updatedAt: now });
+
+    // A jump in progress or a pause isn't throughput, so start a fresh
+    // speed sample
+    if ("bytesDone" in changes || transfer.state !== previousState) {
+      transfer.lastSampleAt = now;
+      transfer.lastSampleBytes = transfer.bytesDone;
+    }
+    if (transfer.state === "active" && !transfer.startedAt) {
+      transfer.startedAt = now;
+    }
+    if (transfer.state !== "active") {
+      transfer.speed = 0;
+      transfer.eta = null;
+    }
+    if (TransferManager.isFinished(transfer)) {
+      transfer.finishedAt = now;
+    }
+    this.notify(transfer, previousState);
+  }
+
+  setState(id, state, error = null) {
+    this.update(id, error ? { state, error } : { state });
+  }
+
+  // Count bytes sent or received and refresh the speed estimate
+  addBytes(id, bytes) {
+    const transfer = this.transfers[id];
+    if (!transfer) return;
+
+    const now = Date.now();
+    transfer.bytesDone = Math.min(
+      transfer.fileSize,
+      transfer.bytesDone + bytes
+    );
+    transfer.updatedAt = now;
+
+    const elapsed = now - transfer.lastSampleAt;
+    if (elapsed >= SPEED_SAMPLE_INTERVAL) {
+      const sampleSpeed =
+        ((transfer.bytesDone - transfer.lastSampleBytes) * 1000) / elapsed;
+      transfer.speed = transfer.speed
+        ? transfer.speed * 0.7 + sampleSpeed * 0.3
+        : sampleSpeed;
+      transfer.lastSampleAt = now;
+      transfer.lastSampleBytes = transfer.bytesDone;
+      transfer.eta =
+        transfer.speed > 0
+          ? (transfer.fileSize - transfer.bytesDone) / transfer.speed
+          : null;
+    }
+
+    this.notify(transfer, transfer.state);
+  }
+
+  // Forget transfers that are over
+  clearFinished() {
+    Object.values(this.transfers).forEach((transfer) => {
+      if (TransferManager.isFinished(transfer)) {
+        delete this.transfers[transfer.id];
+      }
+    });
+    this.scheduleChange();
+  }
+
+  clear() {
+    this.transfers = {};
+    clearTimeout(this.changeTimer);
+    this.changeTimer = null;
+  }
+
+  // Snapshot of all transfers, oldest first
+  list() {
+    return Object.values(this.transfers)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((transfer) => ({ ...transfer }));
+  }
+
+  notify(transfer, previousState) {
+    if (this.onUpdate) this.onUpdate({ ...transfer }, previousState);
+    this.scheduleChange();
+  }
+
+  scheduleChange() {
+    if (this.changeTimer) return;
+
+    this.changeTimer = setTimeout(() => {
+      this.changeTimer = null;
+      if (this.onChange) this.onChange(this.list());
+    }, CHANGE_THROTTLE);
+  }
+}
+
+export default TransferManager;
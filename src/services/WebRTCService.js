@@ -1,101 +1,677 @@
 import { v4 as uuidv4 } from "uuid";
+import { clearStaleScratchFiles, createReceiveSink } from "./ReceiveSinks";
+import TransferManager from "./TransferManager";
+import {
+  DEFAULT_BULK_CHANNELS,
+  MAX_BULK_CHANNELS,
+  getRefreshDelay,
+  loadConfig,
+} from "./Config";
+import { ManualTransport, WebSocketTransport } from "./SignalingTransports";
+import { createThumbnail, isValidThumbnail } from "./Thumbnails";
+import { deriveShortAuthString, getDtlsFingerprint } from "./PeerVerification";
+import {
+  decryptMessage,
+  deriveRoomKey,
+  encryptMessage,
+  isEncryptedFrame,
+} from "./RoomCrypto";
+import {
+  DIGEST_LENGTH,
+  digestChunk,
+  digestChunkList,
+  digestsEqual,
+} from "./FileIntegrity";
+import {
+  chooseCompression,
+  compressChunk,
+  decompressChunk,
+} from "./Compression";
+import {
+  createHelloMessage,
+  decodeChunkFrame,
+  encodeChunkFrame,
+  getHelloError,
+} from "./Protocol";
+import {
+  applyDigestsMessage,
+  applyHave,
+  createDigestsMessage,
+  getHeldRanges,
+  getStaggeredRanges,
+  indicesToRanges,
+  pickChunkRequests,
+  rangesToIndices,
+} from "./Swarm";
+
+// Outgoing files are read from disk and sent in 64 KB slices
+const CHUNK_SIZE = 64 * 1024;
+
+// Largest chunk size a sender may offer, which also bounds what one chunk can
+// make us buffer or inflate
+const MAX_CHUNK_SIZE = 1024 * 1024;
+
+// Most chunks one file may have, 256 GB in 64 KB chunks. Each one costs a
+// bitmap byte and a digest as soon as the file is offered.
+const MAX_CHUNK_COUNT = 4 * 1024 * 1024;
+
+// Stop queuing chunks once this much data is waiting in a data channel and
+// pick up again when it drains below the low-water mark
+const MAX_BUFFERED_AMOUNT = 1024 * 1024;
+const BUFFERED_AMOUNT_LOW_THRESHOLD = 256 * 1024;
+
+// Chunks on other channels can arrive after file-end, so missing chunks are
+// only requested once none have arrived for this long
+const MISSING_CHUNKS_DELAY = 2000;
+
+// Receivers of the same file pass chunks on to each other. They say what
+// they hold at most this often, and ask each other for what they miss on
+// this interval, a few chunks per peer at a time.
+const HAVE_INTERVAL = 500;
+const SWARM_REQUEST_INTERVAL = 500;
+const SWARM_MAX_REQUESTS = 32;
+
+// The sender passes chunk digests on to a swarm in batches, at most this
+// many to a message
+const MAX_DIGESTS_PER_MESSAGE = 1024;
+
+// A chunk asked of another receiver that hasn't come by then is asked again
+const SWARM_REQUEST_TIMEOUT = 5000;
+
+// Chunks of a file still coming in are kept in memory to pass on, up to this
+// much. Once the file is complete they're read back from it.
+const SWARM_CACHE_SIZE = 128 * 1024 * 1024;
+
+// How long a finished file is still passed on to the rest of its swarm
+const SWARM_SEED_TIME = 60000;
+
+// Longest chat message or snippet, in characters
+const MAX_CHAT_LENGTH = 64 * 1024;
+
+// How often link statistics are collected for each peer
+const STATS_INTERVAL = 2000;
+
+// How long a transfer stays paused waiting for a dropped peer to come back
+const RESUME_TIMEOUT = 60000;
+
+// How long a sender waits for a receiver to answer an offer, and then to
+// confirm a file or ask for missing chunks, before giving up on it
+const OFFER_ANSWER_TIMEOUT = 10 * 60000;
+const PEER_REPLY_TIMEOUT = 2 * 60000;
+
+// A peer that hasn't said hello by now is running an incompatible client
+const HELLO_TIMEOUT = 5000;
+
+// Reconnecting to the signaling server backs off exponentially up to the
+// maximum, with jitter so a restarted server isn't hit by everyone at once
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// A rebuilt connection whose offer goes unanswered this long is offered
+// again, in case the offer was lost while the peer was away from the server
+const REBUILD_ANSWER_TIMEOUT = 10000;
+
+// How long to wait for the server to answer a create, join or rejoin
+const ROOM_REQUEST_TIMEOUT = 10000;
+
+// Transports that can't trickle ICE candidates send what was gathered by now
+const ICE_GATHERING_TIMEOUT = 5000;
+
+// Room errors that trying again won't fix
+const FINAL_ROOM_ERRORS = ["password-required", "wrong-password", "rejected"];
+
+// A signaling error, with the server's code when it sends one and null when
+// it doesn't
+const createSignalingError = (message) => {
+  const error = new Error(message.data);
+  error.code = message.code || null;
+  return error;
+};
+
+// Collapse the chunks not yet set in a bitmap into [start, end) ranges
+const getMissingRanges = (bitmap) => {
+  const ranges = [];
+  let start = -1;
+
+  for (let i = 0; i <= bitmap.length; i++) {
+    const missing = i < bitmap.length && !bitmap[i];
+    if (missing && start === -1) {
+      start = i;
+    } else if (!missing && start !== -1) {
+      ranges.push([start, i]);
+      start = -1;
+    }
+  }
+
+  return ranges;
+};
+
+// Resolves once a connection has gathered its ICE candidates, or the
+// timeout passes. Unreachable STUN or TURN servers can hold gathering up.
+const waitForIceGathering = (peerConnection) =>
+  new Promise((resolve) => {
+    if (peerConnection.iceGatheringState === "complete") {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timeout);
+      peerConnection.removeEventListener("icegatheringstatechange", onChange);
+      resolve();
+    };
+    const onChange = () => {
+      if (peerConnection.iceGatheringState === "complete") done();
+    };
+    const timeout = setTimeout(done, ICE_GATHERING_TIMEOUT);
+    peerConnection.addEventListener("icegatheringstatechange", onChange);
+  });
+
+// Whether a file-start describes a file we can lay out: sizes are integers
+// and the chunk count is the one they add up to. The chunk bitmaps are
+// allocated from these before the user has seen the offer.
+const isValidFileLayout = ({ fileSize, chunkSize, totalChunks }) =>
+  Number.isSafeInteger(fileSize) &&
+  fileSize >= 0 &&
+  Number.isSafeInteger(chunkSize) &&
+  chunkSize > 0 &&
+  chunkSize <= MAX_CHUNK_SIZE &&
+  totalChunks <= MAX_CHUNK_COUNT &&
+  totalChunks === Math.max(1, Math.ceil(fileSize / chunkSize));
 
 class WebRTCService {
   constructor() {
-    this.socket = null;
+    // How signaling messages travel: "websocket" through the server, or
+    // "manual" as codes the user carries between devices
+    this.signalingMode = "websocket";
+    this.inviteCode = null;
+    this.transport = null;
     this.peerConnections = {};
+    // The control channel of each peer, and its pool of bulk channels
     this.dataChannels = {};
+    this.bulkChannels = {};
+    // Chunks are striped over this many data channels per peer, next to the
+    // channel that carries control messages
+    this.bulkChannelCount = DEFAULT_BULK_CHANNELS;
+    // Protocol version and capabilities of each peer, from its hello
+    this.peerProtocols = {};
+    this.helloTimers = {};
+    this.statsTimer = null;
     this.roomId = null;
     this.peerId = null;
+    // Lets the server give us back our peer ID after a reconnect
+    this.sessionToken = null;
+    // The room's password, and whether the host lets peers in one by one.
+    // Kept to get back into the room after a reconnect.
+    this.roomPassword = null;
+    this.roomKnock = false;
+    // Whether we created the room, and so know how to create it again
+    this.roomCreated = false;
+    // "connected", "reconnecting" or "disconnected"
+    this.signalingState = "disconnected";
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pendingRejoin = null;
+    // Peers whose connection broke while we couldn't signal a new one
+    this.peersToReconnect = new Set();
+    // Signaling URL and ICE servers, loaded on connect
+    this.config = null;
+    this.configTimer = null;
+    // Name shown to other peers next to our chat messages
+    this.displayName = "";
+
+    // AES-GCM key every data channel message is sealed with, when the room
+    // has a secret. Sends and receives on each channel are chained so sealing
+    // and opening keep them in order.
+    this.roomKey = null;
+    this.sendChains = new WeakMap();
+    this.receiveChains = new WeakMap();
+    this.undecryptablePeers = new Set();
+
+    // Short authentication string of each peer connection, and whether the
+    // user has confirmed it matches on the other device
+    this.peerVerifications = {};
 
     // Callbacks
     this.onPeerConnected = null;
     this.onPeerDisconnected = null;
+    this.onPeerIncompatible = null;
+    this.onPeerStats = null;
+    this.onPeerVerification = null;
+    this.onChatMessage = null;
     this.onFileProgress = null;
     this.onFileReceived = null;
     this.onTransferStart = null;
     this.onTransferComplete = null;
+    this.onTransferPaused = null;
+    this.onTransferResumed = null;
+    this.onTransferFinished = null;
+    this.onTransfersChanged = null;
+    this.onFileOffer = null;
+    this.onFileOfferClosed = null;
+    this.onSignalingStateChange = null;
+    this.onSignalingCode = null;
+    this.onWaitingForHost = null;
+    this.onKnock = null;
+    this.onKnockCancelled = null;
     this.onError = null;
 
     // File transfer tracking
-    this.fileChunks = {};
-    this.isTransferring = false;
+    this.incomingFiles = {};
+    this.outgoingFiles = {};
+    // fileId -> sink of each received file, until it is released
+    this.receivedSinks = new Map();
+    this.downloadDirectory = null;
+    // Files received as part of a swarm, whose chunks we pass on to the other
+    // receivers
+    this.seeds = {};
+
+    // Every transfer, one per file per peer, with its progress and state
+    this.transfers = new TransferManager();
+    this.transfers.onUpdate = (transfer, previousState) =>
+      this.handleTransferUpdate(transfer, previousState);
+    this.transfers.onChange = (transfers) => {
+      if (this.onTransfersChanged) this.onTransfersChanged(transfers);
+    };
+
+    // Send a SHA-256 digest with every chunk so corrupted chunks can be
+    // re-requested, not just detected once the whole file is in
+    this.verifyChunks = true;
+    // Compress files that look like they'll shrink, for peers that can
+    // decompress them
+    this.compressFiles = true;
+    // Let the receivers of a file sent to several peers fetch chunks from
+    // each other
+    this.swarmFiles = true;
+
+    // Peers whose files are accepted without asking, and the answer given
+    // for each incoming folder so its files are only asked about once
+    this.autoAcceptPeers = new Set();
+    this.folderDecisions = {};
 
     // Signaling state tracking
     this.pendingRemoteDescriptions = {};
     this.pendingIceCandidates = {};
 
+    clearStaleScratchFiles().catch((error) => {
+      console.warn("Failed to clear stale scratch files:", error);
+    });
+
     console.log("WebRTCService initialized");
   }
 
+  // Whether a join failed because the room isn't there, so creating it is
+  // worth a try. A server that sends no error codes can't say why a join
+  // failed, so any error from one counts. Timeouts never do.
+  static isRoomNotFound(error) {
+    return error.code === "room-not-found" || error.code === null;
+  }
+
   setCallbacks(callbacks) {
     this.onPeerConnected = callbacks.onPeerConnected;
     this.onPeerDisconnected = callbacks.onPeerDisconnected;
+    this.onPeerIncompatible = callbacks.onPeerIncompatible;
+    this.onPeerStats = callbacks.onPeerStats;
+    this.onPeerVerification = callbacks.onPeerVerification;
+    this.onChatMessage = callbacks.onChatMessage;
     this.onFileProgress = callbacks.onFileProgress;
     this.onFileReceived = callbacks.onFileReceived;
     this.onTransferStart = callbacks.onTransferStart;
     this.onTransferComplete = callbacks.onTransferComplete;
+    this.onTransferPaused = callbacks.onTransferPaused;
+    this.onTransferResumed = callbacks.onTransferResumed;
+    this.onTransferFinished = callbacks.onTransferFinished;
+    this.onTransfersChanged = callbacks.onTransfersChanged;
+    this.onFileOffer = callbacks.onFileOffer;
+    this.onFileOfferClosed = callbacks.onFileOfferClosed;
+    this.onSignalingStateChange = callbacks.onSignalingStateChange;
+    this.onSignalingCode = callbacks.onSignalingCode;
+    this.onWaitingForHost = callbacks.onWaitingForHost;
+    this.onKnock = callbacks.onKnock;
+    this.onKnockCancelled = callbacks.onKnockCancelled;
     this.onError = callbacks.onError;
     console.log("Callbacks set");
   }
 
-  connect() {
-    return new Promise((resolve, reject) => {
-      // Check if we're already connected
-      if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-        console.log("Already connected to signaling server");
-        resolve();
-        return;
+  // Write incoming files into a directory picked by the user
+  setDownloadDirectory(directoryHandle) {
+    this.downloadDirectory = directoryHandle;
+  }
+
+  // Encrypt everything sent to peers with a key derived from the room's
+  // passphrase or link secret. Must be set before connecting.
+  async setRoomSecret(secret, roomId) {
+    this.roomKey = secret ? await deriveRoomKey(secret, roomId) : null;
+  }
+
+  isEncrypted() {
+    return Boolean(this.roomKey);
+  }
+
+  // Set how many bulk channels new peer connections open
+  setBulkChannelCount(count) {
+    this.bulkChannelCount = Math.max(
+      0,
+      Math.min(MAX_BULK_CHANNELS, Math.floor(count))
+    );
+  }
+
+  // Turn transfer state changes into the per-transfer callbacks
+  handleTransferUpdate(transfer, previousState) {
+    if (transfer.state === previousState) {
+      if (this.onFileProgress) this.onFileProgress(transfer);
+      return;
+    }
+
+    if (transfer.state === "active") {
+      if (previousState === "paused") {
+        if (this.onTransferResumed) this.onTransferResumed(transfer);
+      } else if (this.onTransferStart) {
+        this.onTransferStart(transfer);
       }
+    } else if (transfer.state === "paused") {
+      if (this.onTransferPaused) this.onTransferPaused(transfer);
+    } else if (transfer.state === "completed") {
+      if (this.onTransferComplete) this.onTransferComplete(transfer);
+    }
+
+    if (TransferManager.isFinished(transfer) && this.onTransferFinished) {
+      this.onTransferFinished(transfer);
+    }
+  }
 
-      console.log("Connecting to signaling server...");
+  // Drop finished transfers from the list
+  clearFinishedTransfers() {
+    this.transfers.clearFinished();
+  }
 
-      // For local development
-     let wsUrl;
-     if (process.env.NODE_ENV === "production") {
-       // Production environment - use Render deployed backend
-       wsUrl = "wss://airdrop-clone-backend.onrender.com/ws";
-     } else {
-       // Development environment - use localhost
-       wsUrl = "ws://localhost:8080/ws";
-     }
-      console.log(`WebSocket URL: ${wsUrl}`);
+  // Accept every file from a peer without asking, for as long as we're in the room
+  setAutoAccept(peerId, enabled) {
+    if (enabled) {
+      this.autoAcceptPeers.add(peerId);
+    } else {
+      this.autoAcceptPeers.delete(peerId);
+    }
+  }
 
-      this.socket = new WebSocket(wsUrl);
+  // Pick how to signal before connecting. In manual mode, a guest joins with
+  // the invite code it was given.
+  setSignalingMode(mode, { inviteCode = null } = {}) {
+    this.signalingMode = mode;
+    this.inviteCode = inviteCode;
+  }
 
-      this.socket.onopen = () => {
-        console.log("Connected to signaling server");
-        resolve();
+  createTransport() {
+    if (this.signalingMode === "manual") {
+      const transport = new ManualTransport(this.inviteCode);
+      transport.onCode = (signal) => {
+        if (this.onSignalingCode) this.onSignalingCode(signal);
       };
+      return transport;
+    }
 
-      this.socket.onmessage = (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          console.log("Received websocket message:", message);
-          this.handleSignalingMessage(message);
-        } catch (err) {
-          console.error("Error parsing websocket message:", err);
-          if (this.onError) this.onError("Failed to parse signaling message");
-        }
-      };
+    const wsUrl = this.config.signalingUrl;
+    console.log(`WebSocket URL: ${wsUrl}`);
+    return new WebSocketTransport(wsUrl);
+  }
+
+  async connect() {
+    // Check if we're already connected
+    if (this.transport && this.transport.isOpen()) {
+      console.log("Already connected to signaling server");
+      return;
+    }
+
+    // Find out where to connect, and which ICE servers peers should use
+    await this.refreshConfig();
+
+    console.log("Connecting to signaling server...");
+    const transport = this.createTransport();
+    this.transport = transport;
+
+    transport.onMessage = (message) => {
+      console.log("Received signaling message:", message);
+      this.handleSignalingMessage(message);
+    };
+    transport.onError = (message) => {
+      if (this.onError) this.onError(message);
+    };
+    transport.onClose = () => {
+      // A transport we replaced on purpose
+      if (this.transport !== transport) return;
+
+      console.log("Disconnected from signaling server");
+      this.transport = null;
+
+      // Peer connections don't need the signaling server once they're up,
+      // so keep them and get back into the room
+      if (this.roomId) {
+        this.scheduleReconnect();
+      }
+    };
+
+    try {
+      await transport.connect();
+      console.log("Connected to signaling server");
+    } catch (error) {
+      if (this.onError && this.signalingState !== "reconnecting") {
+        this.onError(
+          this.signalingMode === "manual"
+            ? error.message
+            : "Failed to connect to signaling server"
+        );
+      }
+      throw error;
+    }
+  }
+
+  // Start connecting to another device in manual mode. Its invite arrives
+  // through onSignalingCode.
+  invitePeer() {
+    if (!(this.transport instanceof ManualTransport)) {
+      throw new Error("Invites are only needed without a signaling server");
+    }
+    return this.transport.invitePeer();
+  }
+
+  // Take an offer or answer the user brought from another device in manual
+  // mode. Resolves to the peer it came from.
+  acceptSignalingCode(text) {
+    if (!(this.transport instanceof ManualTransport)) {
+      return Promise.reject(
+        new Error("Codes are only needed without a signaling server")
+      );
+    }
+    return this.transport.acceptCode(text);
+  }
+
+  setSignalingState(state) {
+    if (this.signalingState === state) return;
+    this.signalingState = state;
+    if (this.onSignalingStateChange) this.onSignalingStateChange(state);
+  }
+
+  // Try the signaling server again after a backoff with jitter
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    const ceiling = Math.min(
+      RECONNECT_MAX_DELAY,
+      RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts
+    );
+    const delay = ceiling / 2 + Math.random() * (ceiling / 2);
+    this.reconnectAttempts++;
+    this.setSignalingState("reconnecting");
+
+    console.log(
+      `Reconnecting to signaling server in ${Math.round(delay)} ms (attempt ${
+        this.reconnectAttempts
+      })`
+    );
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnect();
+    }, delay);
+  }
+
+  async reconnect() {
+    try {
+      await this.connect();
+      await this.rejoinRoom();
+      console.log(`Back in room ${this.roomId} as ${this.peerId}`);
+      this.reconnectAttempts = 0;
+      this.setSignalingState("connected");
+
+      // Rebuild the connections that broke while we were away
+      const peerIds = [...this.peersToReconnect];
+      this.peersToReconnect.clear();
+      peerIds.forEach((peerId) => {
+        if (!this.peerConnections[peerId]) this.recreatePeerConnection(peerId);
+      });
+    } catch (error) {
+      console.error("Failed to get back into the room:", error);
+      if (
+        FINAL_ROOM_ERRORS.includes(error.code) ||
+        error.code === "room-not-found"
+      ) {
+        this.setSignalingState("disconnected");
+        if (this.onError) this.onError(error.message);
+        return;
+      }
+      if (this.roomId) this.scheduleReconnect();
+    }
+  }
+
+  // Get back into the room after a reconnect. With a session token the
+  // server gives us our old peer ID back and the other peers never notice.
+  // Otherwise, or if the server has forgotten us, we join as a new peer.
+  async rejoinRoom() {
+    const roomId = this.roomId;
+
+    if (this.sessionToken) {
+      try {
+        const { peerId } = await this.requestRoom(
+          {
+            type: "rejoin-room",
+            roomId,
+            peerId: this.peerId,
+            sessionToken: this.sessionToken,
+          },
+          "room-joined"
+        );
+        if (peerId === this.peerId) return;
+      } catch (error) {
+        console.warn(`Could not resume session: ${error.message}`);
+      }
+    }
 
-      this.socket.onerror = (error) => {
-        console.error("WebSocket error:", error);
-        if (this.onError) this.onError("Failed to connect to signaling server");
-        reject(error);
+    // Everyone knows us by our old ID, so start over with every peer
+    this.dropAllPeers();
+    try {
+      await this.requestRoom(this.getJoinMessage(roomId), "room-joined");
+    } catch (error) {
+      if (!WebRTCService.isRoomNotFound(error)) throw error;
+
+      // A guest doesn't know the room's knock mode, and putting it back
+      // without it would open the room to anyone
+      if (!this.roomCreated) {
+        const closed = new Error("The room was closed while you were away");
+        closed.code = "room-not-found";
+        throw closed;
+      }
+
+      // The room went away with everyone else's connection
+      console.warn(
+        `Could not rejoin, creating the room again: ${error.message}`
+      );
+      await this.requestRoom(this.getCreateMessage(roomId), "room-created");
+    }
+  }
+
+  // Send a room request and wait for the given answer, or an error
+  requestRoom(message, answerType) {
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.pendingRejoin = null;
+        reject(new Error(`Timeout waiting for ${answerType}`));
+      }, ROOM_REQUEST_TIMEOUT);
+
+      this.pendingRejoin = {
+        answerType,
+        timeout,
+        resolve: (answer) => {
+          clearTimeout(timeout);
+          resolve(answer);
+        },
+        reject: (error) => {
+          clearTimeout(timeout);
+          reject(error);
+        },
       };
+      this.sendSignalingMessage(message);
+    });
+  }
+
+  // Close every peer connection, holding transfers in flight
+  dropAllPeers() {
+    Object.keys(this.peerConnections).forEach((peerId) => {
+      this.pauseTransfersWithPeer(peerId);
+      this.closePeerConnection(peerId);
+      if (this.onPeerDisconnected) this.onPeerDisconnected(peerId);
+    });
+    this.peersToReconnect.clear();
+  }
 
-      this.socket.onclose = () => {
-        console.log("Disconnected from signaling server");
-        // Clean up peer connections
-        Object.keys(this.peerConnections).forEach((peerId) => {
-          this.closePeerConnection(peerId);
+  // Load the connection config, and load it again before short-lived TURN
+  // credentials in it expire. Connections already up are handed the new ICE
+  // servers too, though they only use them if they gather candidates again.
+  async refreshConfig() {
+    clearTimeout(this.configTimer);
+    this.config = await loadConfig();
+    this.setBulkChannelCount(this.config.bulkChannels);
+
+    Object.entries(this.peerConnections).forEach(([peerId, pc]) => {
+      try {
+        pc.setConfiguration({
+          ...pc.getConfiguration(),
+          iceServers: this.config.iceServers,
         });
-      };
+      } catch (error) {
+        console.warn(`Failed to update ICE servers for peer ${peerId}:`, error);
+      }
     });
+
+    const delay = getRefreshDelay(this.config);
+    if (delay !== null) {
+      this.configTimer = setTimeout(() => {
+        if (!this.transport) return;
+        this.refreshConfig().catch((error) => {
+          console.error("Failed to reload connection config:", error);
+        });
+      }, delay);
+    }
+  }
+
+  getCreateMessage(roomId) {
+    return {
+      type: "create-room",
+      roomId: roomId,
+      password: this.roomPassword || undefined,
+      knock: this.roomKnock || undefined,
+    };
+  }
+
+  getJoinMessage(roomId) {
+    return {
+      type: "join-room",
+      roomId: roomId,
+      password: this.roomPassword || undefined,
+      displayName: this.displayName || undefined,
+    };
   }
 
-  createRoom(roomId) {
+  // Create a room. With a password, joiners need it too. With knock, the
+  // host lets each joiner in through onKnock and admitPeer.
+  createRoom(roomId, { password = null, knock = false } = {}) {
     return new Promise((resolve, reject) => {
       if (!roomId) {
         reject(new Error("Room ID must be provided"));
@@ -103,16 +679,16 @@ class WebRTCService {
       }
 
       console.log(`Creating room with ID: ${roomId}`);
+      this.roomPassword = password;
+      this.roomKnock = knock;
+      this.roomCreated = true;
 
       this.connect()
         .then(() => {
-          this.sendSignalingMessage({
-            type: "create-room",
-            roomId: roomId,
-          });
-
-          // We'll resolve the promise when we receive the room-created message
-          this.pendingCreateRoom = resolve;
+          // We'll settle the promise when we receive the room-created message
+          // or an error
+          this.pendingCreateRoom = { resolve, reject };
+          this.sendSignalingMessage(this.getCreateMessage(roomId));
 
           // Add a timeout to reject the promise if we don't get a response
           this.createRoomTimeout = setTimeout(() => {
@@ -126,7 +702,9 @@ class WebRTCService {
     });
   }
 
-  joinRoom(roomId) {
+  // Join a room. Rejects with the server's error code, like
+  // "password-required" or "rejected", when we aren't let in.
+  joinRoom(roomId, { password = null } = {}) {
     return new Promise((resolve, reject) => {
       if (!roomId) {
         reject(new Error("Room ID must be provided"));
@@ -134,16 +712,15 @@ class WebRTCService {
       }
 
       console.log(`Joining room with ID: ${roomId}`);
+      this.roomPassword = password;
+      this.roomCreated = false;
 
       this.connect()
         .then(() => {
-          this.sendSignalingMessage({
-            type: "join-room",
-            roomId: roomId,
-          });
-
-          // We'll resolve the promise when we receive the room-joined message
-          this.pendingJoinRoom = resolve;
+          // We'll settle the promise when we receive the room-joined message
+          // or an error
+          this.pendingJoinRoom = { resolve, reject };
+          this.sendSignalingMessage(this.getJoinMessage(roomId));
 
           // Add a timeout to reject the promise if we don't get a response
           this.joinRoomTimeout = setTimeout(() => {
@@ -164,10 +741,16 @@ class WebRTCService {
       case "room-created":
         this.roomId = message.roomId;
         this.peerId = message.peerId;
+        this.sessionToken = message.sessionToken || null;
+        this.setSignalingState("connected");
+        if (this.resolvePendingRejoin(message)) break;
         if (this.pendingCreateRoom) {
           clearTimeout(this.createRoomTimeout);
           console.log(`Room created: ${this.roomId}, peer ID: ${this.peerId}`);
-          this.pendingCreateRoom({ roomId: this.roomId, peerId: this.peerId });
+          this.pendingCreateRoom.resolve({
+            roomId: this.roomId,
+            peerId: this.peerId,
+          });
           this.pendingCreateRoom = null;
         }
         break;
@@ -175,14 +758,43 @@ class WebRTCService {
       case "room-joined":
         this.roomId = message.roomId;
         this.peerId = message.peerId;
+        this.sessionToken = message.sessionToken || null;
+        this.setSignalingState("connected");
+        if (this.resolvePendingRejoin(message)) break;
         if (this.pendingJoinRoom) {
           clearTimeout(this.joinRoomTimeout);
           console.log(`Room joined: ${this.roomId}, peer ID: ${this.peerId}`);
-          this.pendingJoinRoom({ roomId: this.roomId, peerId: this.peerId });
+          this.pendingJoinRoom.resolve({
+            roomId: this.roomId,
+            peerId: this.peerId,
+          });
           this.pendingJoinRoom = null;
         }
         break;
 
+      // The room lets peers in one by one, and its host hasn't answered yet
+      case "waiting-for-host":
+        console.log(`Waiting for the host of ${message.roomId} to let us in`);
+        clearTimeout(this.joinRoomTimeout);
+        if (this.pendingRejoin) clearTimeout(this.pendingRejoin.timeout);
+        if (this.onWaitingForHost) this.onWaitingForHost();
+        break;
+
+      case "knock":
+        console.log(`Peer ${message.from} asks to join`);
+        if (this.onKnock) {
+          this.onKnock({
+            peerId: message.from,
+            displayName: message.displayName || "",
+          });
+        }
+        break;
+
+      case "knock-cancelled":
+        console.log(`Peer ${message.from} stopped waiting to join`);
+        if (this.onKnockCancelled) this.onKnockCancelled(message.from);
+        break;
+
       case "new-peer":
         console.log(`New peer: ${message.from}`);
         if (!this.peerConnections[message.from]) {
@@ -193,6 +805,8 @@ class WebRTCService {
 
       case "peer-left":
         console.log(`Peer left: ${message.from}`);
+        delete this.peerVerifications[message.from];
+        this.failTransfersWithPeer(message.from);
         this.closePeerConnection(message.from);
         if (this.onPeerDisconnected) this.onPeerDisconnected(message.from);
         break;
@@ -214,6 +828,27 @@ class WebRTCService {
 
       case "error":
         console.error(`Signaling error: ${message.data}`);
+        // A failed rejoin falls back to joining anew, which isn't worth
+        // bothering the user about
+        if (this.pendingRejoin) {
+          const { reject } = this.pendingRejoin;
+          this.pendingRejoin = null;
+          reject(createSignalingError(message));
+          break;
+        }
+        // An answer to a create or join, which the caller reports
+        if (this.pendingCreateRoom) {
+          clearTimeout(this.createRoomTimeout);
+          this.pendingCreateRoom.reject(createSignalingError(message));
+          this.pendingCreateRoom = null;
+          break;
+        }
+        if (this.pendingJoinRoom) {
+          clearTimeout(this.joinRoomTimeout);
+          this.pendingJoinRoom.reject(createSignalingError(message));
+          this.pendingJoinRoom = null;
+          break;
+        }
         if (this.onError) this.onError(message.data);
         break;
 
@@ -222,8 +857,30 @@ class WebRTCService {
     }
   }
 
-  // Create a peer connection and offer to the remote peer
-  createPeerConnection(remotePeerId) {
+  // Let a peer that knocked into the room, as its host
+  admitPeer(peerId) {
+    this.sendSignalingMessage({ type: "admit", to: peerId });
+  }
+
+  turnAwayPeer(peerId) {
+    this.sendSignalingMessage({ type: "reject", to: peerId });
+  }
+
+  // Hand a room answer to the rejoin waiting for it. Returns whether there
+  // was one.
+  resolvePendingRejoin(message) {
+    if (!this.pendingRejoin || this.pendingRejoin.answerType !== message.type) {
+      return false;
+    }
+    const { resolve } = this.pendingRejoin;
+    this.pendingRejoin = null;
+    resolve({ roomId: message.roomId, peerId: message.peerId });
+    return true;
+  }
+
+  // Create a peer connection and offer to the remote peer, unless it's the
+  // one offering
+  createPeerConnection(remotePeerId, { sendOffer = true } = {}) {
     console.log(`Creating peer connection with: ${remotePeerId}`);
 
     // If there's already a connection, close it first
@@ -237,31 +894,14 @@ class WebRTCService {
     // Initialize pending ice candidates array
     this.pendingIceCandidates[remotePeerId] = [];
 
-    // Define ICE servers including TURN servers for better connectivity
-    const iceServers = {
-      iceServers: [
-        // STUN servers
-        { urls: "stun:stun.l.google.com:19302" },
-        { urls: "stun:stun1.l.google.com:19302" },
-        { urls: "stun:stun2.l.google.com:19302" },
-        // Public TURN servers - for better NAT traversal
-        {
-          urls: "turn:openrelay.metered.ca:80",
-          username: "openrelayproject",
-          credential: "openrelayproject",
-        },
-        {
-          urls: "turn:openrelay.metered.ca:443",
-          username: "openrelayproject",
-          credential: "openrelayproject",
-        },
-      ],
-    };
+    // STUN and TURN servers from the connection config
+    const configuration = { iceServers: this.config.iceServers };
 
     try {
       // Create a new RTCPeerConnection
-      const peerConnection = new RTCPeerConnection(iceServers);
+      const peerConnection = new RTCPeerConnection(configuration);
       this.peerConnections[remotePeerId] = peerConnection;
+      this.startStatsPolling();
 
       // Log ICE connection state changes
       peerConnection.oniceconnectionstatechange = () => {
@@ -288,6 +928,7 @@ class WebRTCService {
 
         if (peerConnection.connectionState === "connected") {
           console.log(`Connection established with peer: ${remotePeerId}`);
+          this.updatePeerVerification(remotePeerId, peerConnection);
         } else if (peerConnection.connectionState === "failed") {
           console.error(`Connection failed for peer: ${remotePeerId}`);
 
@@ -316,14 +957,26 @@ class WebRTCService {
         }
       };
 
-      // Create a data channel for file transfer with specific options for reliability
-      const dataChannel = peerConnection.createDataChannel("fileTransfer", {
-        ordered: true, // Guaranteed delivery
-        maxRetransmits: 30, // Maximum number of retransmission attempts
+      // Both sides create the same negotiated channels, so there is exactly
+      // one of each whoever ends up offering. Control messages get a channel
+      // of their own so they never queue behind file data.
+      const dataChannel = peerConnection.createDataChannel("control", {
+        negotiated: true,
+        id: 0,
+        ordered: true,
       });
-
       this.setupDataChannel(dataChannel, remotePeerId);
 
+      this.bulkChannels[remotePeerId] = [];
+      for (let i = 0; i < this.bulkChannelCount; i++) {
+        const bulkChannel = peerConnection.createDataChannel(`bulk-${i}`, {
+          negotiated: true,
+          id: i + 1,
+          ordered: true,
+        });
+        this.setupBulkChannel(bulkChannel, remotePeerId);
+      }
+
       // Handle ICE candidates
       peerConnection.onicecandidate = (event) => {
         if (event.candidate) {
@@ -338,14 +991,17 @@ class WebRTCService {
         }
       };
 
-      // Handle data channels created by the remote peer
+      // Our channels are all negotiated, so one announced by the remote peer
+      // comes from an older client. Its missing hello reports it.
       peerConnection.ondatachannel = (event) => {
-        console.log(
-          `Received data channel from peer: ${remotePeerId}, label: ${event.channel.label}`
+        console.warn(
+          `Closing unexpected data channel from peer: ${remotePeerId}, label: ${event.channel.label}`
         );
-        this.setupDataChannel(event.channel, remotePeerId);
+        event.channel.close();
       };
 
+      if (!sendOffer) return peerConnection;
+
       // Create an offer
       peerConnection
         .createOffer()
@@ -355,10 +1011,13 @@ class WebRTCService {
         })
         .then(() => {
           console.log(`Set local description for peer: ${remotePeerId}`);
+          return this.getLocalDescription(peerConnection);
+        })
+        .then((description) => {
           this.sendSignalingMessage({
             type: "offer",
             to: remotePeerId,
-            data: peerConnection.localDescription,
+            data: description,
           });
         })
         .catch((error) => {
@@ -381,23 +1040,177 @@ class WebRTCService {
     }
   }
 
+  // The local description to signal. Transports that can't trickle ICE
+  // candidates need them all in it.
+  async getLocalDescription(peerConnection) {
+    if (this.transport && !this.transport.trickleIce) {
+      await waitForIceGathering(peerConnection);
+    }
+    return peerConnection.localDescription;
+  }
+
+  // Work out the short authentication string of a connected peer from the
+  // DTLS fingerprints both sides put in their SDP
+  async updatePeerVerification(remotePeerId, peerConnection) {
+    const localFingerprint = getDtlsFingerprint(
+      peerConnection.localDescription && peerConnection.localDescription.sdp
+    );
+    const remoteFingerprint = getDtlsFingerprint(
+      peerConnection.remoteDescription && peerConnection.remoteDescription.sdp
+    );
+    if (!localFingerprint || !remoteFingerprint) {
+      console.warn(`No DTLS fingerprints to verify peer: ${remotePeerId}`);
+      return;
+    }
+
+    const sas = await deriveShortAuthString(
+      localFingerprint,
+      remoteFingerprint
+    );
+    if (this.peerConnections[remotePeerId] !== peerConnection) return;
+
+    // A new connection has new certificates and needs checking again
+    const previous = this.peerVerifications[remotePeerId];
+    const verification = {
+      peerId: remotePeerId,
+      emoji: sas.emoji,
+      words: sas.words,
+      remoteFingerprint,
+      verified: Boolean(
+        previous &&
+          previous.verified &&
+          previous.remoteFingerprint === remoteFingerprint
+      ),
+    };
+    this.peerVerifications[remotePeerId] = verification;
+    console.log(`Peer ${remotePeerId} verification string: ${sas.words}`);
+
+    if (this.onPeerVerification) {
+      this.onPeerVerification(remotePeerId, { ...verification });
+    }
+  }
+
+  // Record that the user compared a peer's string and it matched
+  markPeerVerified(peerId, verified = true) {
+    const verification = this.peerVerifications[peerId];
+    if (!verification) return;
+
+    verification.verified = verified;
+    if (this.onPeerVerification) {
+      this.onPeerVerification(peerId, { ...verification });
+    }
+  }
+
+  // Collect link statistics for every peer while there are any
+  startStatsPolling() {
+    if (this.statsTimer) return;
+
+    this.statsTimer = setInterval(() => {
+      if (!this.onPeerStats) return;
+
+      Object.keys(this.peerConnections).forEach((peerId) => {
+        this.getPeerStats(peerId)
+          .then((stats) => {
+            if (stats) this.onPeerStats(peerId, stats);
+          })
+          .catch((error) => {
+            console.warn(`Failed to get stats for peer ${peerId}:`, error);
+          });
+      });
+    }, STATS_INTERVAL);
+  }
+
+  // Round-trip time, route and byte counts of the candidate pair a peer
+  // connection is using, or null before one is selected
+  async getPeerStats(peerId) {
+    const peerConnection = this.peerConnections[peerId];
+    if (!peerConnection) return null;
+
+    const report = await peerConnection.getStats();
+    let pair = null;
+    report.forEach((stat) => {
+      if (stat.type === "transport" && stat.selectedCandidatePairId) {
+        pair = report.get(stat.selectedCandidatePairId);
+      }
+    });
+
+    // Firefox doesn't report transports, but marks the pair it uses
+    if (!pair) {
+      report.forEach((stat) => {
+        if (
+          stat.type === "candidate-pair" &&
+          (stat.selected || (stat.nominated && stat.state === "succeeded"))
+        ) {
+          pair = stat;
+        }
+      });
+    }
+    if (!pair) return null;
+
+    const localCandidate = report.get(pair.localCandidateId);
+    const remoteCandidate = report.get(pair.remoteCandidateId);
+    return {
+      rtt:
+        typeof pair.currentRoundTripTime === "number"
+          ? pair.currentRoundTripTime * 1000
+          : null,
+      localCandidateType: localCandidate ? localCandidate.candidateType : null,
+      remoteCandidateType: remoteCandidate
+        ? remoteCandidate.candidateType
+        : null,
+      protocol: localCandidate ? localCandidate.protocol : null,
+      bytesSent: pair.bytesSent || 0,
+      bytesReceived: pair.bytesReceived || 0,
+      timestamp: pair.timestamp,
+    };
+  }
+
   // Try to reset a failed connection
   resetConnection(remotePeerId) {
     console.log(`Attempting to reset connection with peer: ${remotePeerId}`);
 
+    // Hold transfers with this peer so they can resume once it's back
+    this.pauseTransfersWithPeer(remotePeerId);
+
     // Close existing connection
     this.closePeerConnection(remotePeerId);
 
     // Wait a short time before recreating
     setTimeout(() => {
-      // Only create new connection if we're still connected to signaling server
-      if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-        console.log(`Recreating connection with peer: ${remotePeerId}`);
-        this.createPeerConnection(remotePeerId);
+      // Only create new connection if we're still connected to signaling
+      // server, otherwise once we're back in the room
+      if (this.transport && this.transport.isOpen()) {
+        this.recreatePeerConnection(remotePeerId);
+      } else if (this.roomId) {
+        this.peersToReconnect.add(remotePeerId);
       }
     }, 1000);
   }
 
+  // Both ends of a broken connection rebuild it. Only the one with the lower
+  // peer ID offers, so the two offers can't cross and leave each side
+  // waiting for the other to answer. The other end answers its offer.
+  recreatePeerConnection(remotePeerId) {
+    if (this.peerId > remotePeerId) {
+      console.log(`Waiting for peer ${remotePeerId} to offer a new connection`);
+      return;
+    }
+
+    console.log(`Recreating connection with peer: ${remotePeerId}`);
+    const peerConnection = this.createPeerConnection(remotePeerId);
+    if (!peerConnection || this.signalingMode !== "websocket") return;
+
+    setTimeout(() => {
+      if (
+        this.peerConnections[remotePeerId] === peerConnection &&
+        peerConnection.signalingState === "have-local-offer"
+      ) {
+        console.warn(`Peer ${remotePeerId} never answered, offering again`);
+        this.resetConnection(remotePeerId);
+      }
+    }, REBUILD_ANSWER_TIMEOUT);
+  }
+
   // Apply any pending remote description when in the right state
   applyPendingRemoteDescription(remotePeerId) {
     const peerConnection = this.peerConnections[remotePeerId];
@@ -438,12 +1251,16 @@ class WebRTCService {
           peerConnection.localDescription &&
           peerConnection.localDescription.type === "answer"
         ) {
-          console.log(`Sending answer to peer: ${remotePeerId}`);
-          this.sendSignalingMessage({
-            type: "answer",
-            to: remotePeerId,
-            data: peerConnection.localDescription,
-          });
+          return this.getLocalDescription(peerConnection).then(
+            (description) => {
+              console.log(`Sending answer to peer: ${remotePeerId}`);
+              this.sendSignalingMessage({
+                type: "answer",
+                to: remotePeerId,
+                data: description,
+              });
+            }
+          );
         }
       })
       .catch((error) => {
@@ -483,7 +1300,7 @@ class WebRTCService {
     this.pendingIceCandidates[remotePeerId] = [];
   }
 
-  // Set up a data channel for file transfer
+  // Set up the control channel of a peer
   setupDataChannel(dataChannel, remotePeerId) {
     console.log(
       `Setting up data channel for peer: ${remotePeerId}, label: ${dataChannel.label}`
@@ -491,17 +1308,30 @@ class WebRTCService {
 
     this.dataChannels[remotePeerId] = dataChannel;
     dataChannel.binaryType = "arraybuffer";
+    dataChannel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW_THRESHOLD;
 
     dataChannel.onopen = () => {
       console.log(`Data channel with peer ${remotePeerId} opened`);
-      // Notify that a new peer is available for data transfer
-      if (this.onPeerConnected) {
-        this.onPeerConnected(remotePeerId);
-      }
+
+      // The peer is only usable once it has said which protocol it speaks
+      this.sendOnChannel(
+        dataChannel,
+        JSON.stringify(createHelloMessage(this.bulkChannelCount))
+      );
+      clearTimeout(this.helloTimers[remotePeerId]);
+      this.helloTimers[remotePeerId] = setTimeout(() => {
+        delete this.helloTimers[remotePeerId];
+        this.rejectPeer(remotePeerId, getHelloError({}));
+      }, HELLO_TIMEOUT);
     };
 
     dataChannel.onclose = () => {
       console.log(`Data channel with peer ${remotePeerId} closed`);
+      if (this.dataChannels[remotePeerId] === dataChannel) {
+        delete this.peerProtocols[remotePeerId];
+        clearTimeout(this.helloTimers[remotePeerId]);
+        delete this.helloTimers[remotePeerId];
+      }
     };
 
     dataChannel.onerror = (error) => {
@@ -513,42 +1343,216 @@ class WebRTCService {
       const messageType = typeof event.data === "string" ? "string" : "binary";
       console.log(`Received ${messageType} message from peer: ${remotePeerId}`);
 
-      this.handleDataChannelMessage(event.data, remotePeerId);
+      this.receiveFromChannel(dataChannel, event.data, remotePeerId);
     };
   }
 
-  // Check if we have any open data channels
-  hasOpenDataChannels() {
-    const peerIds = Object.keys(this.dataChannels);
-    if (peerIds.length === 0) return false;
+  // Handle the hello a peer sends when its data channel opens
+  handleHello(message, remotePeerId) {
+    clearTimeout(this.helloTimers[remotePeerId]);
+    delete this.helloTimers[remotePeerId];
 
-    // Check if any data channel is in the "open" state
-    const openChannels = peerIds.filter((peerId) => {
-      const dataChannel = this.dataChannels[peerId];
-      return dataChannel && dataChannel.readyState === "open";
-    });
+    const helloError = getHelloError(message);
+    if (helloError) {
+      this.rejectPeer(remotePeerId, helloError);
+      return;
+    }
 
-    console.log(`Open data channels: ${openChannels.length}/${peerIds.length}`);
-    return openChannels.length > 0;
+    console.log(
+      `Peer ${remotePeerId} speaks protocol version ${message.version}`,
+      message.capabilities
+    );
+    this.peerProtocols[remotePeerId] = {
+      version: message.version,
+      capabilities: message.capabilities || [],
+      // Chunks only go over channels that both sides opened
+      bulkChannels: Math.min(this.bulkChannelCount, message.bulkChannels || 0),
+    };
+
+    // Notify that a new peer is available for data transfer
+    if (this.onPeerConnected) {
+      this.onPeerConnected(remotePeerId);
+    }
+
+    // Pick up any transfers that were interrupted by a reconnect
+    this.resumeTransfersWithPeer(remotePeerId);
   }
 
-  // Wait for data channels to open
-  waitForDataChannels(timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      // If we already have open channels, resolve immediately
-      if (this.hasOpenDataChannels()) {
-        resolve();
-        return;
-      }
+  // Refuse to exchange files with a peer that speaks another protocol
+  rejectPeer(remotePeerId, reason) {
+    console.error(`Peer ${remotePeerId} ${reason}`);
+    delete this.peerProtocols[remotePeerId];
+    clearTimeout(this.helloTimers[remotePeerId]);
+    delete this.helloTimers[remotePeerId];
+    if (this.onPeerIncompatible) this.onPeerIncompatible(remotePeerId, reason);
+  }
 
-      // Create a check interval
-      const interval = setInterval(() => {
-        if (this.hasOpenDataChannels()) {
-          clearInterval(interval);
-          clearTimeout(timeoutId);
-          resolve();
-        }
-      }, 100);
+  // Send a message on a data channel, sealing it first in an encrypted room
+  sendOnChannel(dataChannel, data) {
+    if (!this.roomKey) {
+      dataChannel.send(data);
+      return Promise.resolve();
+    }
+
+    const previous = this.sendChains.get(dataChannel) || Promise.resolve();
+    const sent = previous.then(async () => {
+      const sealed = await encryptMessage(this.roomKey, data);
+      if (dataChannel.readyState === "open") dataChannel.send(sealed);
+    });
+    this.sendChains.set(
+      dataChannel,
+      sent.catch((error) => {
+        console.error("Error sending encrypted message:", error);
+      })
+    );
+    return sent;
+  }
+
+  // Open sealed messages from a data channel and handle them in order.
+  // Encrypted and plain rooms can't talk to each other.
+  receiveFromChannel(dataChannel, data, remotePeerId) {
+    if (this.undecryptablePeers.has(remotePeerId)) return;
+
+    if (!this.roomKey) {
+      if (isEncryptedFrame(data)) {
+        this.rejectUndecryptablePeer(
+          remotePeerId,
+          "encrypts its data with a room key you don't have. Join with the room's passphrase or invite link"
+        );
+        return;
+      }
+      this.handleDataChannelMessage(data, remotePeerId);
+      return;
+    }
+
+    if (!isEncryptedFrame(data)) {
+      this.rejectUndecryptablePeer(
+        remotePeerId,
+        "sent unencrypted data in an encrypted room. It needs to join with the room's passphrase or invite link"
+      );
+      return;
+    }
+
+    const previous = this.receiveChains.get(dataChannel) || Promise.resolve();
+    const received = previous.then(async () => {
+      let message;
+      try {
+        message = await decryptMessage(this.roomKey, data);
+      } catch {
+        this.rejectUndecryptablePeer(
+          remotePeerId,
+          "sent data that failed decryption. Check that you both use the same passphrase or invite link"
+        );
+        return;
+      }
+      if (!this.undecryptablePeers.has(remotePeerId)) {
+        this.handleDataChannelMessage(message, remotePeerId);
+      }
+    });
+    this.receiveChains.set(dataChannel, received);
+  }
+
+  // Stop listening to a peer whose data we can't open, and say so once
+  rejectUndecryptablePeer(remotePeerId, reason) {
+    if (this.undecryptablePeers.has(remotePeerId)) return;
+
+    this.undecryptablePeers.add(remotePeerId);
+    this.rejectPeer(remotePeerId, reason);
+    if (this.onError) {
+      this.onError(`Decryption failed for peer ${remotePeerId}`);
+    }
+  }
+
+  // Whether a peer announced a capability in its hello
+  peerSupports(peerId, capability) {
+    const protocol = this.peerProtocols[peerId];
+    return Boolean(
+      capability && protocol && protocol.capabilities.includes(capability)
+    );
+  }
+
+  // Whether a peer's data channel is open and it speaks our protocol
+  isPeerReady(peerId) {
+    const dataChannel = this.dataChannels[peerId];
+    return Boolean(
+      dataChannel &&
+        dataChannel.readyState === "open" &&
+        this.peerProtocols[peerId]
+    );
+  }
+
+  // Set up one of the channels a peer's file chunks are striped over
+  setupBulkChannel(dataChannel, remotePeerId) {
+    this.bulkChannels[remotePeerId].push(dataChannel);
+    dataChannel.binaryType = "arraybuffer";
+    dataChannel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW_THRESHOLD;
+
+    dataChannel.onerror = (error) => {
+      console.error(
+        `Data channel ${dataChannel.label} error with peer ${remotePeerId}:`,
+        error
+      );
+    };
+
+    dataChannel.onmessage = (event) => {
+      this.receiveFromChannel(dataChannel, event.data, remotePeerId);
+    };
+  }
+
+  // The open bulk channels both sides have for a peer, or its control
+  // channel when there are none
+  getChunkChannels(peerId) {
+    const protocol = this.peerProtocols[peerId];
+    const count = protocol ? protocol.bulkChannels : 0;
+    const channels = (this.bulkChannels[peerId] || [])
+      .slice(0, count)
+      .filter((channel) => channel.readyState === "open");
+
+    if (channels.length > 0) return channels;
+
+    const dataChannel = this.dataChannels[peerId];
+    return dataChannel && dataChannel.readyState === "open"
+      ? [dataChannel]
+      : [];
+  }
+
+  // The chunk channel with the least data waiting to go out
+  getLeastBufferedChannel(peerId) {
+    return this.getChunkChannels(peerId).reduce(
+      (best, channel) =>
+        !best || channel.bufferedAmount < best.bufferedAmount ? channel : best,
+      null
+    );
+  }
+
+  // Check if we have any open data channels to compatible peers
+  hasOpenDataChannels() {
+    const peerIds = Object.keys(this.dataChannels);
+    if (peerIds.length === 0) return false;
+
+    const openChannels = peerIds.filter((peerId) => this.isPeerReady(peerId));
+
+    console.log(`Open data channels: ${openChannels.length}/${peerIds.length}`);
+    return openChannels.length > 0;
+  }
+
+  // Wait for data channels to open
+  waitForDataChannels(timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      // If we already have open channels, resolve immediately
+      if (this.hasOpenDataChannels()) {
+        resolve();
+        return;
+      }
+
+      // Create a check interval
+      const interval = setInterval(() => {
+        if (this.hasOpenDataChannels()) {
+          clearInterval(interval);
+          clearTimeout(timeoutId);
+          resolve();
+        }
+      }, 100);
 
       // Create a timeout to fail if it takes too long
       const timeoutId = setTimeout(() => {
@@ -558,6 +1562,28 @@ class WebRTCService {
     });
   }
 
+  // Wait until a data channel has room for more chunks
+  waitForChannelDrain(dataChannel) {
+    return new Promise((resolve) => {
+      if (
+        dataChannel.readyState !== "open" ||
+        dataChannel.bufferedAmount <= MAX_BUFFERED_AMOUNT
+      ) {
+        resolve();
+        return;
+      }
+
+      const done = () => {
+        dataChannel.removeEventListener("bufferedamountlow", done);
+        dataChannel.removeEventListener("close", done);
+        resolve();
+      };
+
+      dataChannel.addEventListener("bufferedamountlow", done);
+      dataChannel.addEventListener("close", done);
+    });
+  }
+
   // Handle incoming data channel messages
   handleDataChannelMessage(data, remotePeerId) {
     // If the message is a string, it's a control message
@@ -568,25 +1594,75 @@ class WebRTCService {
           `Received control message type: ${message.type} from peer: ${remotePeerId}`
         );
 
+        if (message.type === "hello") {
+          this.handleHello(message, remotePeerId);
+          return;
+        }
+
+        // Nothing else is trusted until the peer has said hello
+        if (!this.peerProtocols[remotePeerId]) {
+          console.warn(
+            `Ignoring ${message.type} from peer ${remotePeerId} before hello`
+          );
+          return;
+        }
+
         // Handle file start message
         if (message.type === "file-start") {
-          // Initialize the file chunks array
-          this.fileChunks[message.fileId] = [];
-          console.log(
-            `Starting to receive file: ${message.fileName}, size: ${message.fileSize}, chunks: ${message.totalChunks}`
-          );
+          this.startIncomingFile(message, remotePeerId);
         }
 
         // Handle file end message
         if (message.type === "file-end") {
-          console.log(
-            `File transfer of ${message.fileName} completed, reassembling...`
-          );
-          this.reassembleFile(
-            message.fileId,
-            message.fileName,
-            message.fileType
-          );
+          const entry = this.incomingFiles[message.fileId];
+          if (entry) {
+            entry.ended = true;
+            entry.fileDigest = message.fileDigest || null;
+            if (entry.receivedChunks < entry.totalChunks) {
+              this.scheduleMissingChunksRequest(entry);
+            } else {
+              this.maybeFinalizeIncomingFile(entry);
+            }
+          }
+        }
+
+        if (message.type === "chat") {
+          this.handleChatMessage(message, remotePeerId);
+        }
+
+        // What another receiver of a file holds, and its requests for chunks
+        // of a file we aren't the sender of
+        if (message.type === "have") {
+          this.handleHave(message, remotePeerId);
+        }
+        if (message.type === "chunk-digests") {
+          this.handleChunkDigests(message, remotePeerId);
+        }
+        if (
+          message.type === "chunk-request" &&
+          this.seeds[message.fileId] &&
+          !this.outgoingFiles[message.fileId]
+        ) {
+          this.serveSwarmChunks(message, remotePeerId);
+        }
+
+        // Either side can pause, resume or cancel a transfer
+        if (
+          message.type === "transfer-pause" ||
+          message.type === "transfer-resume" ||
+          message.type === "transfer-cancel"
+        ) {
+          this.handleTransferControl(message, remotePeerId);
+        }
+
+        // Handle answers, receipts and resume requests for files we are sending
+        if (
+          message.type === "file-accept" ||
+          message.type === "file-decline" ||
+          message.type === "file-received" ||
+          message.type === "chunk-request"
+        ) {
+          this.handleOutgoingReply(message, remotePeerId);
         }
       } catch (error) {
         console.error("Error parsing data channel message:", error);
@@ -595,195 +1671,433 @@ class WebRTCService {
     // If the message is binary data, it's a file chunk
     else if (data instanceof ArrayBuffer) {
       try {
-        // Parse the file chunk metadata
-        const headerView = new DataView(data.slice(0, 28));
-        const fileIdBytes = new Uint8Array(data.slice(0, 16));
-        const fileIdDecoder = new TextDecoder();
-        const fileId = fileIdDecoder.decode(fileIdBytes);
-
-        const currentChunk = headerView.getUint32(16, true);
-        const totalChunks = headerView.getUint32(20, true);
-        const fileNameLengthBytes = headerView.getUint32(24, true);
-
-        const fileNameBytes = new Uint8Array(
-          data.slice(28, 28 + fileNameLengthBytes)
-        );
-        const fileNameDecoder = new TextDecoder();
-        const fileName = fileNameDecoder.decode(fileNameBytes);
-
-        const fileTypeStartByte = 28 + fileNameLengthBytes;
-        const fileTypeLengthBytes = new DataView(
-          data.slice(fileTypeStartByte, fileTypeStartByte + 4)
-        ).getUint32(0, true);
-        const fileTypeBytes = new Uint8Array(
-          data.slice(
-            fileTypeStartByte + 4,
-            fileTypeStartByte + 4 + fileTypeLengthBytes
-          )
-        );
-        const fileTypeDecoder = new TextDecoder();
-        const fileType = fileTypeDecoder.decode(fileTypeBytes);
+        if (!this.peerProtocols[remotePeerId]) {
+          console.warn(`Ignoring chunk from peer ${remotePeerId} before hello`);
+          return;
+        }
 
-        const fileSizeStartByte = fileTypeStartByte + 4 + fileTypeLengthBytes;
-        const fileSize = new DataView(
-          data.slice(fileSizeStartByte, fileSizeStartByte + 8)
-        ).getBigUint64(0, true);
+        const frame = decodeChunkFrame(data);
+        const currentChunk = frame.index;
 
-        const chunkData = data.slice(fileSizeStartByte + 8);
+        // Chunks come from the sender, or from other receivers in a swarm
+        const entry = this.incomingFiles[frame.fileId];
+        if (
+          !entry ||
+          (entry.peerId !== remotePeerId &&
+            !entry.swarmPeers.includes(remotePeerId))
+        ) {
+          console.warn(`Dropping chunk for unknown file: ${frame.fileId}`);
+          return;
+        }
+        if (entry.state === "offered") {
+          console.warn(
+            `Dropping chunk for file not yet accepted: ${entry.fileName}`
+          );
+          return;
+        }
+        if (frame.compressed && !entry.compression) {
+          console.warn(
+            `Dropping compressed chunk of ${entry.fileName}, which was offered uncompressed`
+          );
+          return;
+        }
+        if (currentChunk >= entry.totalChunks) {
+          console.warn(
+            `Dropping chunk ${currentChunk} past the end of ${entry.fileName}`
+          );
+          return;
+        }
 
         // Print log only for first chunk, last chunk, and every 10th chunk
         if (
           currentChunk === 0 ||
-          currentChunk === totalChunks - 1 ||
+          currentChunk === entry.totalChunks - 1 ||
           currentChunk % 10 === 0
         ) {
           console.log(
-            `Received chunk ${
-              currentChunk + 1
-            }/${totalChunks} for file: ${fileName}`
+            `Received chunk ${currentChunk + 1}/${
+              entry.totalChunks
+            } for file: ${entry.fileName}`
           );
         }
 
-        // Store the chunk
-        if (!this.fileChunks[fileId]) {
-          this.fileChunks[fileId] = [];
+        if (this.seeds[entry.fileId]) {
+          this.seeds[entry.fileId].requested.delete(currentChunk);
         }
 
-        this.fileChunks[fileId].push({
-          id: fileId,
-          name: fileName,
-          type: fileType,
-          size: Number(fileSize),
-          totalChunks,
-          currentChunk,
-          data: chunkData,
-        });
-
-        // Calculate progress
-        const progress = (this.fileChunks[fileId].length / totalChunks) * 100;
-        if (this.onFileProgress) this.onFileProgress(progress);
-
-        // If this is the first chunk, signal the start of transfer
-        if (currentChunk === 0) {
-          console.log(`First chunk received for file: ${fileName}`);
-          if (this.onTransferStart) this.onTransferStart();
+        // Chunks resent after a reconnect, or sent by the sender and another
+        // receiver at once, may already be here
+        if (entry.chunkBitmap[currentChunk]) return;
+
+        // Another receiver's chunk is checked against the digest the sender
+        // gave us, and one we can't check yet is left for later
+        let expectedDigest = frame.digest;
+        if (entry.senderDigests) {
+          const offset = currentChunk * DIGEST_LENGTH;
+          if (remotePeerId === entry.peerId) {
+            if (expectedDigest) {
+              entry.senderDigests.set(expectedDigest, offset);
+              entry.senderDigestKnown[currentChunk] = 1;
+            }
+          } else if (!entry.senderDigestKnown[currentChunk]) {
+            return;
+          } else {
+            expectedDigest = entry.senderDigests.subarray(
+              offset,
+              offset + DIGEST_LENGTH
+            );
+          }
         }
+        entry.chunkBitmap[currentChunk] = 1;
+
+        this.queueSinkOperation(entry, async () => {
+          // A chunk that won't inflate, or inflates past the chunk size, is
+          // as corrupted as one whose digest doesn't match
+          let chunkData = frame.data;
+          if (frame.compressed) {
+            chunkData = await decompressChunk(
+              frame.data,
+              entry.chunkSize
+            ).catch(() => null);
+          }
+          // Every chunk but the last is chunkSize long. One of any other
+          // length would overwrite its neighbour or run past the file's end.
+          const expectedLength = Math.min(
+            entry.chunkSize,
+            entry.fileSize - currentChunk * entry.chunkSize
+          );
+          if (chunkData && chunkData.byteLength !== expectedLength) {
+            chunkData = null;
+          }
+          const digest = chunkData && (await digestChunk(chunkData));
+          if (
+            !chunkData ||
+            (expectedDigest && !digestsEqual(digest, expectedDigest))
+          ) {
+            console.warn(
+              `Chunk ${currentChunk} of ${entry.fileName} is corrupted, requesting it again`
+            );
+            entry.chunkBitmap[currentChunk] = 0;
+            entry.receivedChunks--;
+            this.sendControlMessage(entry.peerId, {
+              type: "chunk-request",
+              fileId: entry.fileId,
+              ranges: [[currentChunk, currentChunk + 1]],
+            });
+            if (remotePeerId !== entry.peerId) {
+              this.distrustSwarmPeer(entry, remotePeerId, currentChunk);
+            }
+            return;
+          }
 
-        // If we've received all chunks, reassemble the file
-        if (this.fileChunks[fileId].length === totalChunks) {
-          console.log(
-            `All ${totalChunks} chunks received for file: ${fileName}, reassembling...`
+          entry.chunkDigests.set(digest, currentChunk * DIGEST_LENGTH);
+          await entry.sink.write(
+            currentChunk,
+            currentChunk * entry.chunkSize,
+            chunkData
           );
-          this.reassembleFile(fileId, fileName, fileType);
+          this.transfers.addBytes(entry.transferId, chunkData.byteLength);
+          this.recordSwarmChunk(entry, currentChunk, chunkData);
+        });
+        entry.receivedChunks++;
+
+        // Chunks are still arriving, so don't ask for them again yet
+        if (entry.missingTimer) {
+          this.scheduleMissingChunksRequest(entry);
         }
+
+        this.maybeFinalizeIncomingFile(entry);
       } catch (error) {
         console.error("Error processing file chunk:", error);
       }
     }
   }
 
-  // Reassemble file from chunks
-  reassembleFile(fileId, fileName, fileType) {
-    console.log(`Starting file reassembly for: ${fileName}, type: ${fileType}`);
-
-    try {
-      // Get all chunks for this file
-      const chunks = this.fileChunks[fileId];
+  // Record a file offered by file-start and ask the user whether to take it
+  startIncomingFile(message, remotePeerId) {
+    console.log(
+      `Peer ${remotePeerId} offered file: ${message.fileName}, size: ${message.fileSize}, chunks: ${message.totalChunks}`
+    );
 
-      if (!chunks || chunks.length === 0) {
-        throw new Error(`No chunks found for file: ${fileName}`);
+    const chunkSize = message.chunkSize || CHUNK_SIZE;
+    if (
+      typeof message.fileId !== "string" ||
+      !isValidFileLayout({
+        fileSize: message.fileSize,
+        chunkSize,
+        totalChunks: message.totalChunks,
+      })
+    ) {
+      console.warn(
+        `Rejecting file ${message.fileName} from peer ${remotePeerId} with an invalid size or chunk count`
+      );
+      if (typeof message.fileId === "string") {
+        this.sendControlMessage(remotePeerId, {
+          type: "file-decline",
+          fileId: message.fileId,
+        });
       }
+      return;
+    }
+
+    const entry = {
+      peerId: remotePeerId,
+      fileId: message.fileId,
+      fileName: message.fileName,
+      fileType: message.fileType,
+      fileSize: message.fileSize,
+      compression: message.compression || null,
+      verifyChunks: Boolean(message.chunkDigests),
+      // The other receivers of this file, when the sender made it a swarm
+      swarmPeers: Array.isArray(message.swarmPeers)
+        ? message.swarmPeers.filter(
+            (peerId) =>
+              typeof peerId === "string" &&
+              peerId !== this.peerId &&
+              peerId !== remotePeerId
+          )
+        : [],
+      thumbnail: isValidThumbnail(message.thumbnail) ? message.thumbnail : null,
+      relativePath: message.relativePath || null,
+      folderId: message.folderId || null,
+      folderName: message.folderName || null,
+      folderFileCount: message.folderFileCount || 0,
+      localHold: false,
+      remoteHold: false,
+      release: null,
+      totalChunks: message.totalChunks,
+      chunkSize,
+      receivedChunks: 0,
+      chunkBitmap: new Uint8Array(message.totalChunks),
+      chunkDigests: new Uint8Array(message.totalChunks * DIGEST_LENGTH),
+      // What the sender says each chunk hashes to, for checking chunks the
+      // other receivers pass on
+      senderDigests: null,
+      senderDigestKnown: null,
+      fileDigest: null,
+      state: "offered",
+      resumeTimer: null,
+      missingTimer: null,
+      ended: false,
+      failed: false,
+      finalizing: false,
+      sink: null,
+      sinkQueue: Promise.resolve(),
+      transferId: TransferManager.transferId(
+        "in",
+        message.fileId,
+        remotePeerId
+      ),
+    };
+    if (entry.swarmPeers.length > 0) {
+      entry.senderDigests = new Uint8Array(entry.chunkDigests.length);
+      entry.senderDigestKnown = new Uint8Array(entry.totalChunks);
+    }
+    this.incomingFiles[message.fileId] = entry;
+    this.transfers.create({
+      direction: "in",
+      fileId: entry.fileId,
+      peerId: remotePeerId,
+      fileName: entry.relativePath || entry.fileName,
+      fileSize: entry.fileSize,
+      state: "offered",
+    });
+
+    const decision =
+      (entry.folderId && this.folderDecisions[entry.folderId]) ||
+      (this.autoAcceptPeers.has(remotePeerId) && "accept");
 
-      // Log chunk information
-      console.log(`Reassembling file from ${chunks.length} chunks`);
+    if (decision === "accept" || !this.onFileOffer) {
+      this.acceptFile(entry.fileId);
+    } else if (decision === "decline") {
+      this.declineFile(entry.fileId);
+    } else {
+      this.onFileOffer({
+        fileId: entry.fileId,
+        peerId: remotePeerId,
+        fileName: entry.fileName,
+        fileType: entry.fileType,
+        fileSize: entry.fileSize,
+        thumbnail: entry.thumbnail,
+        relativePath: entry.relativePath,
+        folderId: entry.folderId,
+        folderName: entry.folderName,
+        folderFileCount: entry.folderFileCount,
+      });
+    }
+  }
 
-      // Sort chunks by index to ensure correct order
-      chunks.sort((a, b) => a.currentChunk - b.currentChunk);
+  // Accept an offered file and let the sender start streaming it. A file
+  // handle from showSaveFilePicker makes it go straight to that file.
+  acceptFile(fileId, { fileHandle = null } = {}) {
+    const entry = this.incomingFiles[fileId];
+    if (!entry || entry.state !== "offered") return;
+
+    console.log(`Accepting file: ${entry.fileName}`);
+    entry.state = "receiving";
+    if (this.onFileOfferClosed) this.onFileOfferClosed(fileId);
+
+    // The sender only starts once there is somewhere to put the file
+    this.queueSinkOperation(entry, async () => {
+      entry.sink = await createReceiveSink(entry, {
+        directoryHandle: this.downloadDirectory,
+        fileHandle,
+      });
+      console.log(`Receiving ${entry.fileName} into ${entry.sink.location}`);
+      this.sendControlMessage(entry.peerId, { type: "file-accept", fileId });
+    });
+    this.applyHold(entry);
 
-      // Calculate total size
-      const totalSize = chunks[0].size;
-      console.log(`File size: ${totalSize} bytes`);
+    if (entry.swarmPeers.length > 0) {
+      this.startSeeding(entry);
+    }
 
-      // Create a buffer for the entire file
-      const fileBuffer = new Uint8Array(totalSize);
-      console.log(`Created buffer of size: ${fileBuffer.length} bytes`);
+    if (entry.folderId) {
+      this.answerFolder(entry.folderId, "accept");
+    }
+  }
 
-      // Copy each chunk into the file buffer
-      let offset = 0;
-      for (const chunk of chunks) {
-        const chunkData = new Uint8Array(chunk.data);
-        fileBuffer.set(chunkData, offset);
-        offset += chunkData.length;
-      }
-      console.log(`All chunks copied to buffer, total bytes: ${offset}`);
+  // Decline an offered file so the sender never streams it
+  declineFile(fileId) {
+    const entry = this.incomingFiles[fileId];
+    if (!entry || entry.state !== "offered") return;
 
-      // Create a Blob from the buffer
-      const blob = new Blob([fileBuffer], { type: fileType });
-      console.log(
-        `Created blob of type: ${fileType}, size: ${blob.size} bytes`
-      );
+    console.log(`Declining file: ${entry.fileName}`);
+    entry.state = "declined";
+    delete this.incomingFiles[fileId];
+    if (this.onFileOfferClosed) this.onFileOfferClosed(fileId);
 
-      // Create a URL for the blob
-      const url = URL.createObjectURL(blob);
-      console.log(`Created blob URL: ${url}`);
+    this.sendControlMessage(entry.peerId, { type: "file-decline", fileId });
+    this.transfers.setState(entry.transferId, "declined");
 
-      // Test the URL
-      try {
-        const testUrl = new URL(url);
-        console.log(`URL is valid: ${testUrl.toString()}`);
-      } catch (err) {
-        console.error(`Invalid URL created: ${err.message}`);
+    if (entry.folderId) {
+      this.answerFolder(entry.folderId, "decline");
+    }
+  }
+
+  // Apply the answer for one file of a folder to the rest of it
+  answerFolder(folderId, decision) {
+    this.folderDecisions[folderId] = decision;
+
+    Object.values(this.incomingFiles)
+      .filter((entry) => entry.folderId === folderId)
+      .forEach((entry) => {
+        if (decision === "accept") {
+          this.acceptFile(entry.fileId);
+        } else {
+          this.declineFile(entry.fileId);
+        }
+      });
+  }
+
+  // Run sink operations for an incoming file one after another
+  queueSinkOperation(entry, operation) {
+    entry.sinkQueue = entry.sinkQueue
+      .then(() => (entry.failed ? undefined : operation()))
+      .catch((error) => this.failIncomingFile(entry, error));
+    return entry.sinkQueue;
+  }
+
+  // Drop an incoming file whose sink could not be written
+  failIncomingFile(entry, error) {
+    if (entry.failed) return;
+    entry.failed = true;
+    clearTimeout(entry.resumeTimer);
+    clearTimeout(entry.missingTimer);
+    delete this.incomingFiles[entry.fileId];
+    // Otherwise the sender keeps streaming and waits for a receipt forever
+    this.sendControlMessage(entry.peerId, {
+      type: "transfer-cancel",
+      fileId: entry.fileId,
+    });
+    this.stopSeeding(entry.fileId);
+    if (entry.state === "offered" && this.onFileOfferClosed) {
+      this.onFileOfferClosed(entry.fileId);
+    }
+    this.transfers.setState(entry.transferId, "failed", error.message);
+
+    console.error(`Error receiving file: ${entry.fileName}`, error);
+    if (entry.sink) {
+      entry.sink.abort().catch((abortError) => {
+        console.error("Error aborting receive sink:", abortError);
+      });
+    }
+    if (this.onError) this.onError(`Failed to receive file: ${error.message}`);
+  }
+
+  // Finish the file once every chunk and the file-end message have arrived
+  maybeFinalizeIncomingFile(entry) {
+    if (
+      entry.finalizing ||
+      !entry.ended ||
+      entry.receivedChunks < entry.totalChunks
+    ) {
+      return;
+    }
+    entry.finalizing = true;
+
+    this.queueSinkOperation(entry, async () => {
+      // A chunk may have failed its digest check since we got here
+      if (entry.receivedChunks < entry.totalChunks) {
+        entry.finalizing = false;
+        this.requestMissingChunks(entry);
+        return;
+      }
+
+      // Check the whole file against the sender's digest
+      let integrity = "unverified";
+      if (entry.fileDigest) {
+        const fileDigest = await digestChunkList(entry.chunkDigests);
+        integrity = fileDigest === entry.fileDigest ? "verified" : "corrupted";
       }
+      if (integrity === "corrupted") {
+        console.error(`Digest mismatch for file: ${entry.fileName}`);
+        if (this.onError)
+          this.onError(`${entry.fileName} failed its integrity check`);
+      }
+
+      const blob = await entry.sink.close();
+      delete this.incomingFiles[entry.fileId];
+      this.receivedSinks.set(entry.fileId, entry.sink);
+      this.finishSeeding(entry.fileId, blob);
+
+      // Let the sender know it can stop holding the file for us
+      this.sendControlMessage(entry.peerId, {
+        type: "file-received",
+        fileId: entry.fileId,
+      });
+
+      const url = URL.createObjectURL(blob);
+      console.log(
+        `File received: ${entry.fileName}, ${blob.size} bytes in ${entry.sink.location}`
+      );
 
-      // Signal that the file has been received
       if (this.onFileReceived) {
-        const file = {
-          name: fileName,
+        this.onFileReceived({
+          fileId: entry.fileId,
+          peerId: entry.peerId,
+          name: entry.fileName,
           url: url,
-          size: totalSize,
-          type: fileType,
+          size: entry.fileSize,
+          type: entry.fileType,
           blob: blob,
+          thumbnail: entry.thumbnail,
+          location: entry.sink.location,
+          integrity,
+          relativePath: entry.relativePath,
+          folderId: entry.folderId,
+          folderName: entry.folderName,
+          folderFileCount: entry.folderFileCount,
           // Add timestamp to ensure the object is unique
           timestamp: new Date().getTime(),
-        };
-
-        // Log before calling callback
-        console.log(
-          `Calling onFileReceived with file: ${fileName}, URL: ${url.substring(
-            0,
-            30
-          )}...`
-        );
-
-        // We use setTimeout to ensure this runs outside the current execution context
-        setTimeout(() => {
-          console.log(`Executing onFileReceived callback for: ${fileName}`);
-          this.onFileReceived(file);
-        }, 100);
-      }
-
-      // Signal that transfer is complete
-      if (this.onTransferComplete) {
-        this.onTransferComplete();
+        });
       }
 
-      // Clean up
-      delete this.fileChunks[fileId];
-      console.log(`File reassembly complete for: ${fileName}`);
-
-      // Return file info (for testing)
-      return {
-        name: fileName,
-        size: totalSize,
-        type: fileType,
-        url: url,
-      };
-    } catch (error) {
-      console.error(`Error reassembling file: ${fileName}`, error);
-      if (this.onError)
-        this.onError(`Failed to reassemble file: ${error.message}`);
-      return null;
-    }
+      this.transfers.update(entry.transferId, {
+        state: "completed",
+        integrity,
+      });
+    });
   }
 
   // Handle an offer from a remote peer
@@ -797,7 +2111,10 @@ class WebRTCService {
       console.log(
         `Creating new peer connection for offer from: ${remotePeerId}`
       );
-      peerConnection = this.createPeerConnection(remotePeerId);
+      peerConnection = this.createPeerConnection(remotePeerId, {
+        sendOffer: false,
+      });
+      if (!peerConnection) return;
       if (this.onPeerConnected) this.onPeerConnected(remotePeerId);
     }
 
@@ -819,20 +2136,37 @@ class WebRTCService {
         })
         .then(() => {
           console.log(`Local description set for peer: ${remotePeerId}`);
+
+          // Apply any pending ICE candidates
+          this.applyPendingIceCandidates(remotePeerId);
+          return this.getLocalDescription(peerConnection);
+        })
+        .then((description) => {
           this.sendSignalingMessage({
             type: "answer",
             to: remotePeerId,
-            data: peerConnection.localDescription,
+            data: description,
           });
-
-          // Apply any pending ICE candidates
-          this.applyPendingIceCandidates(remotePeerId);
         })
         .catch((error) => {
           console.error(`Error handling offer from ${remotePeerId}:`, error);
           if (this.onError)
             this.onError(`Failed to handle connection offer: ${error.message}`);
         });
+    } else if (peerConnection.signalingState === "have-local-offer") {
+      // Our offer crossed theirs. The peer with the higher ID gives way,
+      // the other ignores the offer and waits for its own to be answered.
+      if (this.peerId < remotePeerId) {
+        console.log(`Ignoring offer from ${remotePeerId} that crossed ours`);
+        return;
+      }
+      console.log(`Dropping our offer to ${remotePeerId} for theirs`);
+      peerConnection
+        .setLocalDescription({ type: "rollback" })
+        .then(() => this.handleOffer(remotePeerId, sdp))
+        .catch((error) => {
+          console.error(`Error rolling back offer to ${remotePeerId}:`, error);
+        });
     } else {
       // Save the offer for later - we're not in the right state
       console.log(
@@ -929,12 +2263,22 @@ class WebRTCService {
       dataChannel.close();
       delete this.dataChannels[remotePeerId];
     }
+    (this.bulkChannels[remotePeerId] || []).forEach((channel) =>
+      channel.close()
+    );
+    delete this.bulkChannels[remotePeerId];
 
     if (peerConnection) {
       peerConnection.close();
       delete this.peerConnections[remotePeerId];
     }
 
+    // The next connection has to say hello again
+    delete this.peerProtocols[remotePeerId];
+    this.undecryptablePeers.delete(remotePeerId);
+    clearTimeout(this.helloTimers[remotePeerId]);
+    delete this.helloTimers[remotePeerId];
+
     // Clear any pending state for this peer
     delete this.pendingRemoteDescriptions[remotePeerId];
     delete this.pendingIceCandidates[remotePeerId];
@@ -947,40 +2291,144 @@ class WebRTCService {
       message.roomId = this.roomId;
     }
 
-    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+    if (this.transport && this.transport.isOpen()) {
       console.log(`Sending signaling message: ${message.type}`);
-      this.socket.send(JSON.stringify(message));
+      this.transport.send(message);
+    } else if (this.signalingState === "reconnecting") {
+      // Whatever needed it is retried once we're back
+      console.warn(`Dropping ${message.type} while reconnecting`);
     } else {
       console.error("WebSocket not connected");
       if (this.onError) this.onError("Not connected to signaling server");
     }
   }
 
-  // Send a file to all connected peers
-  async sendFile(file) {
-    try {
-      console.log(`Attempting to send file: ${file.name}, size: ${file.size}`);
-
-      // First, check if we have open data channels
-      if (!this.hasOpenDataChannels()) {
-        console.log(
-          "No data channels are currently open. Waiting for channels to open..."
-        );
+  // Send a control message to a peer if its data channel is open
+  sendControlMessage(peerId, message) {
+    const dataChannel = this.dataChannels[peerId];
 
-        // Try to wait for data channels to open
-        try {
-          await this.waitForDataChannels();
-        } catch (err) {
-          console.error("Failed to wait for data channels:", err);
-          throw new Error("No peers ready for data transfer");
-        }
-      }
+    if (dataChannel && dataChannel.readyState === "open") {
+      this.sendOnChannel(dataChannel, JSON.stringify(message));
+      return true;
+    }
 
-      // Get channels that are actually open
-      const peerIds = Object.keys(this.dataChannels).filter((peerId) => {
-        const dataChannel = this.dataChannels[peerId];
-        return dataChannel && dataChannel.readyState === "open";
+    console.error(
+      `Data channel for peer ${peerId} is not open, dropping ${message.type}`
+    );
+    return false;
+  }
+
+  // Set the name other peers see next to our chat messages
+  setDisplayName(name) {
+    this.displayName = (name || "").trim().slice(0, 64);
+  }
+
+  // Send a chat message or code snippet to the given peers, or to every
+  // connected peer. Returns the message as sent.
+  sendChatMessage(text, { format = "text", peerIds = null } = {}) {
+    if (!text || text.length > MAX_CHAT_LENGTH) {
+      throw new Error(
+        `Messages must be between 1 and ${MAX_CHAT_LENGTH} characters`
+      );
+    }
+
+    const message = {
+      type: "chat",
+      id: uuidv4(),
+      senderName: this.displayName,
+      timestamp: Date.now(),
+      format: format === "code" ? "code" : "text",
+      text,
+    };
+
+    const recipients = Object.keys(this.dataChannels).filter(
+      (peerId) =>
+        this.isPeerReady(peerId) &&
+        this.peerSupports(peerId, "chat") &&
+        (!peerIds || peerIds.includes(peerId))
+    );
+    if (recipients.length === 0) {
+      throw new Error("No peers ready for chat");
+    }
+    recipients.forEach((peerId) => this.sendControlMessage(peerId, message));
+
+    return {
+      id: message.id,
+      from: this.peerId,
+      senderName: message.senderName,
+      timestamp: message.timestamp,
+      format: message.format,
+      text: message.text,
+      recipients,
+      outgoing: true,
+    };
+  }
+
+  // Pass a chat message from a peer on to the UI
+  handleChatMessage(message, remotePeerId) {
+    if (typeof message.text !== "string" || !message.text) return;
+    if (message.text.length > MAX_CHAT_LENGTH) {
+      console.warn(`Dropping oversized chat message from ${remotePeerId}`);
+      return;
+    }
+
+    if (this.onChatMessage) {
+      this.onChatMessage({
+        id: typeof message.id === "string" ? message.id : uuidv4(),
+        // The sender is whoever's channel it came in on, not what it claims
+        from: remotePeerId,
+        senderName:
+          typeof message.senderName === "string"
+            ? message.senderName.slice(0, 64)
+            : "",
+        timestamp:
+          typeof message.timestamp === "number"
+            ? message.timestamp
+            : Date.now(),
+        format: message.format === "code" ? "code" : "text",
+        text: message.text,
+        outgoing: false,
       });
+    }
+  }
+
+  // Send a file to the given peers, or to all connected peers when none are
+  // given. Files picked as part of a folder pass their relative path and
+  // folder so the receiver can rebuild it. Resolves to each recipient's
+  // outcome: "sent", "declined" or "failed".
+  async sendFile(
+    file,
+    {
+      fileId = uuidv4(),
+      peerIds: recipientIds = null,
+      relativePath = null,
+      folder = null,
+    } = {}
+  ) {
+    try {
+      console.log(`Attempting to send file: ${file.name}, size: ${file.size}`);
+
+      // First, check if we have open data channels
+      if (!this.hasOpenDataChannels()) {
+        console.log(
+          "No data channels are currently open. Waiting for channels to open..."
+        );
+
+        // Try to wait for data channels to open
+        try {
+          await this.waitForDataChannels();
+        } catch (err) {
+          console.error("Failed to wait for data channels:", err);
+          throw new Error("No peers ready for data transfer");
+        }
+      }
+
+      // Get the recipients whose channels are actually open
+      const peerIds = Object.keys(this.dataChannels).filter(
+        (peerId) =>
+          this.isPeerReady(peerId) &&
+          (!recipientIds || recipientIds.includes(peerId))
+      );
 
       console.log(`Sending file to ${peerIds.length} peers:`, peerIds);
 
@@ -988,189 +2436,1063 @@ class WebRTCService {
         throw new Error("No peers ready for data transfer");
       }
 
-      // Generate a unique ID for this file transfer
-      const fileId = uuidv4();
-      console.log(`Generated file ID: ${fileId}`);
+      console.log(`File ID: ${fileId}`);
 
-      // Read the file as an ArrayBuffer
-      const fileBuffer = await file.arrayBuffer();
+      // Calculate total number of chunks (an empty file still gets one)
+      const totalChunks = Math.max(1, Math.ceil(file.size / CHUNK_SIZE));
       console.log(
-        `File read into buffer, size: ${fileBuffer.byteLength} bytes`
+        `File will be sent in ${totalChunks} chunks of ${CHUNK_SIZE} bytes each`
       );
 
-      // Calculate chunk size (64 KB)
-      const chunkSize = 64 * 1024;
+      // Text and other compressible files are deflated chunk by chunk
+      const compression = this.compressFiles
+        ? await chooseCompression(file)
+        : null;
+      if (compression) {
+        console.log(`Compressing ${file.name} with ${compression}`);
+      }
 
-      // Calculate total number of chunks
-      const totalChunks = Math.ceil(fileBuffer.byteLength / chunkSize);
-      console.log(
-        `File will be sent in ${totalChunks} chunks of ${chunkSize} bytes each`
-      );
+      // Images and videos are previewed in the offer
+      const thumbnail = await createThumbnail(file);
+
+      // With several recipients that can swarm, each passes what it gets
+      // from us on to the others
+      let swarmPeers = this.swarmFiles
+        ? peerIds.filter((peerId) => this.peerSupports(peerId, "swarm"))
+        : [];
+      if (swarmPeers.length < 2) swarmPeers = [];
+      if (swarmPeers.length > 0) {
+        console.log(`Sending ${file.name} as a swarm of ${swarmPeers.length}`);
+      }
+
+      // Keep the file around so any peer can resume after a reconnect
+      const transfer = {
+        fileId,
+        file,
+        totalChunks,
+        verifyChunks: this.verifyChunks,
+        chunkDigests: new Uint8Array(totalChunks * DIGEST_LENGTH),
+        digestedChunks: new Uint8Array(totalChunks),
+        fileDigest: null,
+        // Digests not yet passed on to the swarm
+        newDigests: [],
+        digestTimer: null,
+        peers: {},
+      };
+      peerIds.forEach((peerId) => {
+        transfer.peers[peerId] = {
+          transferId: this.transfers.create({
+            direction: "out",
+            fileId,
+            peerId,
+            fileName: relativePath || file.name,
+            fileSize: file.size,
+            state: "waiting",
+          }).id,
+          fileId,
+          peerId,
+          // Only peers that can decompress get compressed chunks
+          compression: this.peerSupports(peerId, compression)
+            ? compression
+            : null,
+          // Where this peer starts in the file, and the chunks it already
+          // has from the rest of the swarm
+          swarmPosition: swarmPeers.indexOf(peerId),
+          peerChunks: swarmPeers.includes(peerId)
+            ? new Uint8Array(totalChunks)
+            : null,
+          state: "sending",
+          accepted: false,
+          localHold: false,
+          remoteHold: false,
+          release: null,
+          pendingReply: null,
+          queuedReply: null,
+          resumeTimer: null,
+        };
+      });
+      this.outgoingFiles[fileId] = transfer;
 
       // Notify peers about the file transfer start
       for (const peerId of peerIds) {
-        const dataChannel = this.dataChannels[peerId];
-
-        if (dataChannel && dataChannel.readyState === "open") {
-          console.log(`Sending file-start message to peer: ${peerId}`);
-          dataChannel.send(
-            JSON.stringify({
-              type: "file-start",
-              fileId,
-              fileName: file.name,
-              fileType: file.type,
-              fileSize: file.size,
-              totalChunks,
-            })
-          );
-        } else {
-          console.error(`Data channel for peer ${peerId} is not open`);
-        }
+        console.log(`Sending file-start message to peer: ${peerId}`);
+        this.sendControlMessage(peerId, {
+          type: "file-start",
+          fileId,
+          fileName: file.name,
+          fileType: file.type,
+          fileSize: file.size,
+          totalChunks,
+          chunkSize: CHUNK_SIZE,
+          chunkDigests: transfer.verifyChunks,
+          compression: transfer.peers[peerId].compression,
+          swarmPeers: transfer.peers[peerId].peerChunks ? swarmPeers : null,
+          thumbnail,
+          relativePath,
+          folderId: folder && folder.id,
+          folderName: folder && folder.name,
+          folderFileCount: folder && folder.fileCount,
+        });
       }
 
-      // Signal that transfer has started
-      if (this.onTransferStart) this.onTransferStart();
+      // Each peer gets its own send loop so a slow or reconnecting peer
+      // doesn't hold up the others
+      const results = await Promise.allSettled(
+        peerIds.map((peerId) =>
+          this.runPeerTransfer(transfer, peerId).catch((error) => {
+            this.transfers.setState(
+              transfer.peers[peerId].transferId,
+              "failed",
+              error.message
+            );
+            throw error;
+          })
+        )
+      );
+      delete this.outgoingFiles[fileId];
+      clearTimeout(transfer.digestTimer);
 
-      // Send chunks to all peers
-      for (let i = 0; i < totalChunks; i++) {
-        // Create chunk
-        const start = i * chunkSize;
-        const end = Math.min(start + chunkSize, fileBuffer.byteLength);
-        const chunk = fileBuffer.slice(start, end);
-
-        // Create header with metadata
-        const fileIdBytes = new TextEncoder()
-          .encode(fileId.padEnd(16, "\0"))
-          .slice(0, 16);
-
-        const headerBuffer = new ArrayBuffer(28);
-        const headerView = new DataView(headerBuffer);
-
-        // Copy fileId into header
-        new Uint8Array(headerBuffer, 0, 16).set(fileIdBytes);
-
-        // Set chunk metadata
-        headerView.setUint32(16, i, true); // currentChunk
-        headerView.setUint32(20, totalChunks, true); // totalChunks
-
-        // Add filename metadata
-        const fileNameBytes = new TextEncoder().encode(file.name);
-        headerView.setUint32(24, fileNameBytes.length, true); // filenameLength
-
-        // Add filetype metadata
-        const fileTypeBytes = new TextEncoder().encode(file.type);
-
-        // Create a buffer for the entire message
-        const messageBuffer = new ArrayBuffer(
-          headerBuffer.byteLength +
-            fileNameBytes.length +
-            4 + // fileTypeLength field
-            fileTypeBytes.length +
-            8 + // fileSize field
-            chunk.byteLength
+      const failures = results.filter((result) => result.status === "rejected");
+      const declines = results.filter(
+        (result) => result.status === "fulfilled" && result.value === "declined"
+      );
+      const cancels = results.filter(
+        (result) =>
+          result.status === "fulfilled" && result.value === "cancelled"
+      );
+      if (failures.length === peerIds.length) {
+        throw failures[0].reason;
+      }
+      if (
+        declines.length + cancels.length > 0 &&
+        declines.length + cancels.length + failures.length === peerIds.length
+      ) {
+        throw new Error(
+          `${file.name} was ${cancels.length > 0 ? "cancelled" : "declined"}`
         );
-
-        // Copy header into message
-        new Uint8Array(messageBuffer, 0, headerBuffer.byteLength).set(
-          new Uint8Array(headerBuffer)
+      }
+      if (failures.length > 0 && this.onError) {
+        this.onError(
+          `Failed to send ${file.name} to ${failures.length} of ${peerIds.length} peers`
         );
+      }
 
-        // Copy filename into message
-        new Uint8Array(
-          messageBuffer,
-          headerBuffer.byteLength,
-          fileNameBytes.length
-        ).set(fileNameBytes);
-
-        // Add filetype length
-        new DataView(
-          messageBuffer,
-          headerBuffer.byteLength + fileNameBytes.length,
-          4
-        ).setUint32(0, fileTypeBytes.length, true);
-
-        // Copy filetype into message
-        new Uint8Array(
-          messageBuffer,
-          headerBuffer.byteLength + fileNameBytes.length + 4,
-          fileTypeBytes.length
-        ).set(fileTypeBytes);
-
-        // Add file size
-        new DataView(
-          messageBuffer,
-          headerBuffer.byteLength +
-            fileNameBytes.length +
-            4 +
-            fileTypeBytes.length,
-          8
-        ).setBigUint64(0, BigInt(file.size), true);
-
-        // Copy chunk data into message
-        new Uint8Array(
-          messageBuffer,
-          headerBuffer.byteLength +
-            fileNameBytes.length +
-            4 +
-            fileTypeBytes.length +
-            8,
-          chunk.byteLength
-        ).set(new Uint8Array(chunk));
+      console.log(`File send completed for: ${file.name}`);
 
-        // Print log for first chunk, last chunk, and every 10th chunk
-        if (i === 0 || i === totalChunks - 1 || i % 10 === 0) {
-          console.log(`Sending chunk ${i + 1}/${totalChunks}`);
-        }
+      const outcomes = {};
+      peerIds.forEach((peerId, i) => {
+        outcomes[peerId] =
+          results[i].status === "fulfilled" ? results[i].value : "failed";
+      });
+      return outcomes;
+    } catch (error) {
+      console.error(`Error sending file: ${file.name}`, error);
+      if (this.onError) this.onError(`Failed to send file: ${error.message}`);
+      throw error;
+    }
+  }
 
-        // Send chunk to all peers
-        for (const peerId of peerIds) {
-          const dataChannel = this.dataChannels[peerId];
+  // Send a file to one peer once it accepts the offer, resuming from the
+  // chunks it reports missing whenever the connection drops, until the peer
+  // confirms receipt. Resolves to "sent", "declined" or "cancelled".
+  async runPeerTransfer(transfer, peerId) {
+    const peer = transfer.peers[peerId];
+    let ranges = null;
+
+    // Nothing is sent until the receiver accepts the file-start offer
+    const answer = await this.waitForPeerReply(peer, OFFER_ANSWER_TIMEOUT);
+    if (answer.type === "transfer-cancel") {
+      return "cancelled";
+    }
+    if (answer.type === "file-decline") {
+      peer.state = "declined";
+      this.transfers.setState(peer.transferId, "declined");
+      console.log(`Peer ${peerId} declined ${transfer.file.name}`);
+      return "declined";
+    }
+    peer.accepted = true;
+    this.applyHold(peer);
+    if (answer.type === "chunk-request") {
+      ranges = answer.ranges;
+    } else if (peer.peerChunks) {
+      ranges = getStaggeredRanges(
+        transfer.totalChunks,
+        peer.swarmPosition,
+        Object.values(transfer.peers).filter((other) => other.peerChunks).length
+      );
+    } else {
+      ranges = [[0, transfer.totalChunks]];
+    }
 
-          if (dataChannel && dataChannel.readyState === "open") {
-            dataChannel.send(messageBuffer);
-          } else {
-            console.error(
-              `Data channel for peer ${peerId} is not open while sending chunk ${i}`
-            );
-          }
+    for (;;) {
+      if (ranges) {
+        let sent = await this.sendChunkRanges(transfer, peerId, ranges);
+        if (sent) {
+          const fileDigest = await this.getFileDigest(transfer);
+          sent = this.sendControlMessage(peerId, {
+            type: "file-end",
+            fileId: transfer.fileId,
+            fileName: transfer.file.name,
+            fileType: transfer.file.type,
+            fileDigest,
+          });
         }
+        ranges = null;
 
-        // Update progress
-        if (this.onFileProgress) {
-          const progress = ((i + 1) / totalChunks) * 100;
-          this.onFileProgress(progress);
+        if (!sent && peer.state === "sending") {
+          this.pauseOutgoingTransfer(transfer, peerId);
         }
+      }
 
-        // Add a small delay between chunks to avoid flooding the data channel
-        await new Promise((resolve) => setTimeout(resolve, 10));
+      const reply = await this.waitForPeerReply(peer, PEER_REPLY_TIMEOUT);
+      if (reply.type === "transfer-cancel") {
+        console.log(`Sending ${transfer.file.name} to ${peerId} was cancelled`);
+        return "cancelled";
+      }
+      if (reply.type === "file-received") {
+        peer.state = "done";
+        this.transfers.setState(peer.transferId, "completed");
+        console.log(`Peer ${peerId} confirmed ${transfer.file.name}`);
+        return "sent";
       }
 
-      // Notify peers about the file transfer end
-      for (const peerId of peerIds) {
-        const dataChannel = this.dataChannels[peerId];
-
-        if (dataChannel && dataChannel.readyState === "open") {
-          console.log(`Sending file-end message to peer: ${peerId}`);
-          dataChannel.send(
-            JSON.stringify({
-              type: "file-end",
-              fileId,
-              fileName: file.name,
-              fileType: file.type,
-            })
+      // The receiver asked for the chunks it is missing
+      if (reply.type === "chunk-request") {
+        ranges = reply.ranges;
+      }
+    }
+  }
+
+  // Send the given [start, end) chunk ranges, returning false if the
+  // peer's data channel goes away before they are all sent
+  async sendChunkRanges(transfer, peerId, ranges) {
+    const { file, totalChunks } = transfer;
+    const peer = transfer.peers[peerId];
+
+    // Progress counts what the peer already has, so resent chunks aren't
+    // counted twice
+    const missingBytes = ranges.reduce(
+      (bytes, [rangeStart, rangeEnd]) =>
+        bytes +
+        Math.min(rangeEnd * CHUNK_SIZE, file.size) -
+        rangeStart * CHUNK_SIZE,
+      0
+    );
+    this.transfers.update(peer.transferId, {
+      bytesDone: file.size - missingBytes,
+    });
+
+    for (const [rangeStart, rangeEnd] of ranges) {
+      for (let i = rangeStart; i < rangeEnd; i++) {
+        // Hold here while either side has the transfer paused
+        if (peer.localHold || peer.remoteHold) {
+          await this.waitForRelease(peer);
+        }
+        if (peer.state === "failed" || peer.state === "cancelled") {
+          return false;
+        }
+
+        if (this.getChunkChannels(peerId).length === 0) {
+          console.error(
+            `Data channel for peer ${peerId} is not open while sending chunk ${i}`
           );
+          return false;
+        }
+
+        // Skip chunks the peer already got from another receiver
+        const start = i * CHUNK_SIZE;
+        const end = Math.min(start + CHUNK_SIZE, file.size);
+        if (peer.peerChunks && peer.peerChunks[i]) {
+          this.transfers.addBytes(peer.transferId, end - start);
+          continue;
+        }
+
+        // Read only this chunk from disk
+        const chunk = await file.slice(start, end).arrayBuffer();
+        const digest = await this.getChunkDigest(transfer, i, chunk);
+
+        // Send a compressed chunk only when it actually came out smaller
+        let payload = chunk;
+        if (peer.compression) {
+          const compressed = await compressChunk(chunk);
+          if (compressed.byteLength < chunk.byteLength) payload = compressed;
+        }
+
+        const messageBuffer = encodeChunkFrame({
+          fileId: transfer.fileId,
+          index: i,
+          digest: transfer.verifyChunks ? digest : null,
+          compressed: payload !== chunk,
+          data: payload,
+        });
+
+        // Use the least backed up channel, and wait if even that one is full
+        const dataChannel = this.getLeastBufferedChannel(peerId);
+        if (!dataChannel) return false;
+        await this.waitForChannelDrain(dataChannel);
+        if (dataChannel.readyState !== "open") return false;
+
+        // Print log for first chunk, last chunk, and every 10th chunk
+        if (i === 0 || i === totalChunks - 1 || i % 10 === 0) {
+          console.log(`Sending chunk ${i + 1}/${totalChunks} to ${peerId}`);
         }
+        await this.sendOnChannel(dataChannel, messageBuffer);
+
+        this.transfers.addBytes(peer.transferId, chunk.byteLength);
       }
+    }
 
-      // Signal that transfer is complete
-      if (this.onTransferComplete) this.onTransferComplete();
+    return true;
+  }
 
-      console.log(`File send completed for: ${file.name}`);
-    } catch (error) {
-      console.error(`Error sending file: ${file.name}`, error);
-      if (this.onError) this.onError(`Failed to send file: ${error.message}`);
-      throw error;
+  // Hash a chunk of an outgoing file, reusing the digest on resends
+  async getChunkDigest(transfer, index, chunk) {
+    const offset = index * DIGEST_LENGTH;
+
+    if (!transfer.digestedChunks[index]) {
+      transfer.chunkDigests.set(await digestChunk(chunk), offset);
+      transfer.digestedChunks[index] = 1;
+      this.queueSwarmDigest(transfer, index);
+    }
+
+    return transfer.chunkDigests.subarray(offset, offset + DIGEST_LENGTH);
+  }
+
+  // Receivers only trust chunks passed on by each other once they know what
+  // we hashed them to, so send the swarm each digest soon after we make it
+  queueSwarmDigest(transfer, index) {
+    if (!Object.values(transfer.peers).some((peer) => peer.peerChunks)) {
+      return;
+    }
+
+    transfer.newDigests.push(index);
+    if (transfer.newDigests.length >= MAX_DIGESTS_PER_MESSAGE) {
+      clearTimeout(transfer.digestTimer);
+      this.sendSwarmDigests(transfer);
+    } else if (!transfer.digestTimer) {
+      transfer.digestTimer = setTimeout(
+        () => this.sendSwarmDigests(transfer),
+        HAVE_INTERVAL
+      );
+    }
+  }
+
+  sendSwarmDigests(transfer) {
+    transfer.digestTimer = null;
+    const indices = transfer.newDigests.sort((a, b) => a - b);
+    transfer.newDigests = [];
+    if (this.outgoingFiles[transfer.fileId] !== transfer) return;
+
+    const messages = [];
+    indicesToRanges(indices).forEach(([rangeStart, rangeEnd]) => {
+      for (let i = rangeStart; i < rangeEnd; i += MAX_DIGESTS_PER_MESSAGE) {
+        messages.push(
+          createDigestsMessage(
+            transfer.fileId,
+            transfer.chunkDigests,
+            i,
+            Math.min(i + MAX_DIGESTS_PER_MESSAGE, rangeEnd),
+            DIGEST_LENGTH
+          )
+        );
+      }
+    });
+    Object.values(transfer.peers)
+      .filter((peer) => peer.peerChunks && peer.state === "sending")
+      .forEach((peer) =>
+        messages.forEach((message) =>
+          this.sendControlMessage(peer.peerId, message)
+        )
+      );
+  }
+
+  // Hash the whole outgoing file from its chunk digests
+  async getFileDigest(transfer) {
+    if (!transfer.fileDigest) {
+      const { file, totalChunks } = transfer;
+
+      // Every chunk has normally been hashed on its way out already
+      for (let i = 0; i < totalChunks; i++) {
+        if (!transfer.digestedChunks[i]) {
+          const start = i * CHUNK_SIZE;
+          const end = Math.min(start + CHUNK_SIZE, file.size);
+          const chunk = await file.slice(start, end).arrayBuffer();
+          await this.getChunkDigest(transfer, i, chunk);
+        }
+      }
+
+      transfer.fileDigest = await digestChunkList(transfer.chunkDigests);
     }
+
+    return transfer.fileDigest;
+  }
+
+  // Wait for a peer to confirm a file or ask for missing chunks. A peer that
+  // doesn't answer in time fails, and is told to drop the file.
+  waitForPeerReply(peer, timeout) {
+    if (peer.state === "failed") {
+      return Promise.reject(peer.error);
+    }
+    if (peer.state === "cancelled") {
+      return Promise.resolve({ type: "transfer-cancel" });
+    }
+
+    if (peer.queuedReply) {
+      const reply = peer.queuedReply;
+      peer.queuedReply = null;
+      return Promise.resolve(reply);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.sendControlMessage(peer.peerId, {
+          type: "transfer-cancel",
+          fileId: peer.fileId,
+        });
+        this.failOutgoingPeer(
+          peer,
+          new Error(`Peer ${peer.peerId} stopped answering`)
+        );
+      }, timeout);
+
+      peer.pendingReply = {
+        resolve: (reply) => {
+          clearTimeout(timer);
+          resolve(reply);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      };
+    });
+  }
+
+  // Hand a reply from the receiver to the send loop waiting for it
+  deliverPeerReply(peer, reply) {
+    if (peer.pendingReply) {
+      const { resolve } = peer.pendingReply;
+      peer.pendingReply = null;
+      resolve(reply);
+    } else {
+      // The send loop is still busy, it will pick this up when it's done
+      peer.queuedReply = reply;
+    }
+  }
+
+  // Handle the receiver's answer, receipt or resume request for an outgoing file
+  handleOutgoingReply(message, remotePeerId) {
+    const transfer = this.outgoingFiles[message.fileId];
+    const peer = transfer && transfer.peers[remotePeerId];
+    if (
+      !peer ||
+      peer.state === "done" ||
+      peer.state === "failed" ||
+      peer.state === "declined" ||
+      peer.state === "cancelled"
+    ) {
+      return;
+    }
+
+    if (peer.state === "paused") {
+      clearTimeout(peer.resumeTimer);
+      peer.state = "sending";
+      console.log(`Resuming ${transfer.file.name} for peer: ${remotePeerId}`);
+      this.applyHold(peer);
+    }
+
+    this.deliverPeerReply(peer, message);
+  }
+
+  // Hold an outgoing file until the peer reconnects and asks for the rest
+  pauseOutgoingTransfer(transfer, peerId) {
+    const peer = transfer.peers[peerId];
+    if (peer.state !== "sending") return;
+
+    console.log(`Pausing ${transfer.file.name} for peer: ${peerId}`);
+    peer.state = "paused";
+    this.transfers.update(peer.transferId, { state: "paused", pausedBy: null });
+
+    peer.resumeTimer = setTimeout(() => {
+      this.failOutgoingPeer(
+        peer,
+        new Error(`Peer ${peerId} did not reconnect in time`)
+      );
+    }, RESUME_TIMEOUT);
+  }
+
+  // Stop sending a file to one peer and wake its send loop with the error
+  failOutgoingPeer(peer, error) {
+    if (
+      peer.state === "done" ||
+      peer.state === "failed" ||
+      peer.state === "cancelled"
+    ) {
+      return;
+    }
+
+    clearTimeout(peer.resumeTimer);
+    peer.state = "failed";
+    peer.error = error;
+    peer.queuedReply = null;
+    this.releaseHold(peer);
+    if (peer.pendingReply) {
+      peer.pendingReply.reject(error);
+      peer.pendingReply = null;
+    }
+  }
+
+  // Pause every transfer with a peer whose connection is being rebuilt
+  pauseTransfersWithPeer(peerId) {
+    Object.values(this.outgoingFiles).forEach((transfer) => {
+      if (transfer.peers[peerId]) {
+        this.pauseOutgoingTransfer(transfer, peerId);
+      }
+    });
+
+    Object.values(this.incomingFiles).forEach((entry) => {
+      if (entry.peerId !== peerId || entry.state !== "receiving") return;
+
+      console.log(`Pausing ${entry.fileName} from peer: ${peerId}`);
+      entry.state = "paused";
+      this.transfers.update(entry.transferId, {
+        state: "paused",
+        pausedBy: null,
+      });
+
+      entry.resumeTimer = setTimeout(() => {
+        this.failIncomingFile(
+          entry,
+          new Error(`Peer ${peerId} did not reconnect in time`)
+        );
+      }, RESUME_TIMEOUT);
+    });
+  }
+
+  // After reconnecting, tell the sender which chunks are still missing
+  resumeTransfersWithPeer(peerId) {
+    Object.values(this.incomingFiles).forEach((entry) => {
+      if (
+        entry.peerId !== peerId ||
+        entry.state === "offered" ||
+        entry.finalizing
+      ) {
+        return;
+      }
+
+      if (entry.state === "paused") {
+        clearTimeout(entry.resumeTimer);
+        clearTimeout(entry.missingTimer);
+        entry.state = "receiving";
+        console.log(`Resuming ${entry.fileName} from peer: ${peerId}`);
+        this.applyHold(entry);
+      }
+
+      this.requestMissingChunks(entry);
+    });
+  }
+
+  // Ask for the missing chunks once they've stopped trickling in over the
+  // other channels
+  scheduleMissingChunksRequest(entry) {
+    clearTimeout(entry.missingTimer);
+    entry.missingTimer = setTimeout(() => {
+      entry.missingTimer = null;
+      if (
+        this.incomingFiles[entry.fileId] === entry &&
+        entry.state === "receiving" &&
+        entry.receivedChunks < entry.totalChunks
+      ) {
+        this.requestMissingChunks(entry);
+      }
+    }, MISSING_CHUNKS_DELAY);
+  }
+
+  // Ask the sender for every chunk of an incoming file we don't have yet
+  requestMissingChunks(entry) {
+    const ranges = getMissingRanges(entry.chunkBitmap);
+    console.log(
+      `Requesting ${ranges.length} missing chunk ranges of ${entry.fileName}`
+    );
+    this.sendControlMessage(entry.peerId, {
+      type: "chunk-request",
+      fileId: entry.fileId,
+      ranges,
+    });
+  }
+
+  // Start passing chunks of an accepted swarm file on to its other receivers
+  startSeeding(entry) {
+    const seed = {
+      fileId: entry.fileId,
+      senderId: entry.peerId,
+      peers: entry.swarmPeers,
+      totalChunks: entry.totalChunks,
+      chunkSize: entry.chunkSize,
+      fileSize: entry.fileSize,
+      verifyChunks: entry.verifyChunks,
+      chunkDigests: entry.chunkDigests,
+      entry,
+      // What we hold, and the part of it we can still read back to pass on
+      held: new Uint8Array(entry.totalChunks),
+      servable: new Uint8Array(entry.totalChunks),
+      cache: new Map(),
+      cacheBytes: 0,
+      blob: null,
+      // What each other receiver holds, and which of them we asked for what
+      peerChunks: {},
+      knownPeers: new Set(),
+      distrusted: new Set(),
+      requested: new Map(),
+      serving: {},
+      haveTimer: null,
+      requestTimer: null,
+      stopTimer: null,
+    };
+    seed.peers.forEach((peerId) => {
+      seed.peerChunks[peerId] = new Uint8Array(entry.totalChunks);
+    });
+    this.seeds[entry.fileId] = seed;
+
+    console.log(
+      `Swarming ${entry.fileName} with ${seed.peers.length} other receivers`
+    );
+    seed.requestTimer = setInterval(
+      () => this.requestSwarmChunks(seed),
+      SWARM_REQUEST_INTERVAL
+    );
+    this.sendHave(seed);
+  }
+
+  // Remember a chunk we've written so it can be passed on
+  recordSwarmChunk(entry, index, chunkData) {
+    const seed = this.seeds[entry.fileId];
+    if (!seed || seed.entry !== entry) return;
+
+    seed.held[index] = 1;
+    if (seed.cacheBytes + chunkData.byteLength <= SWARM_CACHE_SIZE) {
+      seed.cache.set(index, chunkData);
+      seed.cacheBytes += chunkData.byteLength;
+      seed.servable[index] = 1;
+    }
+
+    if (!seed.haveTimer) {
+      seed.haveTimer = setTimeout(() => {
+        seed.haveTimer = null;
+        if (this.seeds[seed.fileId] === seed) this.sendHave(seed);
+      }, HAVE_INTERVAL);
+    }
+  }
+
+  // Tell the sender everything we hold, so it can skip it, and the other
+  // receivers, or just one of them, what we can pass on
+  sendHave(seed, peerId = null) {
+    const message = seed.blob
+      ? { type: "have", fileId: seed.fileId, complete: true }
+      : {
+          type: "have",
+          fileId: seed.fileId,
+          ranges: getHeldRanges(seed.servable),
+        };
+
+    if (!peerId) {
+      this.sendControlMessage(
+        seed.senderId,
+        seed.blob ? message : { ...message, ranges: getHeldRanges(seed.held) }
+      );
+    }
+    seed.peers
+      .filter(
+        (otherId) =>
+          (!peerId || otherId === peerId) &&
+          this.isPeerReady(otherId) &&
+          this.peerSupports(otherId, "swarm")
+      )
+      .forEach((otherId) => this.sendControlMessage(otherId, message));
+  }
+
+  // Record what a receiver of a file holds
+  handleHave(message, remotePeerId) {
+    // As the sender, skip what the receiver already has
+    const transfer = this.outgoingFiles[message.fileId];
+    const peer = transfer && transfer.peers[remotePeerId];
+    if (peer && peer.peerChunks) {
+      applyHave(peer.peerChunks, message);
+      return;
+    }
+
+    const seed = this.seeds[message.fileId];
+    if (!seed || !seed.peerChunks[remotePeerId]) return;
+    applyHave(seed.peerChunks[remotePeerId], message);
+
+    // A receiver that joined after us hasn't heard what we hold yet
+    if (!seed.knownPeers.has(remotePeerId)) {
+      seed.knownPeers.add(remotePeerId);
+      this.sendHave(seed, remotePeerId);
+    }
+
+    // Stop early once everyone we could help has the whole file
+    if (
+      seed.blob &&
+      seed.peers.every((peerId) => seed.peerChunks[peerId].every(Boolean))
+    ) {
+      this.stopSeeding(seed.fileId);
+    }
+  }
+
+  // Record chunk digests the sender of a swarm file sent ahead
+  handleChunkDigests(message, remotePeerId) {
+    const entry = this.incomingFiles[message.fileId];
+    if (!entry || !entry.senderDigests || entry.peerId !== remotePeerId) {
+      return;
+    }
+    applyDigestsMessage(
+      entry.senderDigests,
+      entry.senderDigestKnown,
+      message,
+      DIGEST_LENGTH
+    );
+  }
+
+  // Stop asking a receiver that passed on a bad chunk for any more, and wait
+  // on the sender for that chunk instead
+  distrustSwarmPeer(entry, peerId, index) {
+    console.warn(`Peer ${peerId} passed on a bad chunk of ${entry.fileName}`);
+    const seed = this.seeds[entry.fileId];
+    if (!seed || seed.entry !== entry) return;
+
+    seed.distrusted.add(peerId);
+    seed.requested.set(index, { peerId: entry.peerId, at: Date.now() });
+  }
+
+  // Ask the other receivers for missing chunks they hold
+  requestSwarmChunks(seed) {
+    const { entry } = seed;
+    if (
+      !entry ||
+      entry.state !== "receiving" ||
+      entry.localHold ||
+      entry.remoteHold
+    ) {
+      return;
+    }
+
+    // Forget requests that were never answered so they go to someone else
+    const now = Date.now();
+    seed.requested.forEach((request, index) => {
+      if (now - request.at > SWARM_REQUEST_TIMEOUT) {
+        seed.requested.delete(index);
+      }
+    });
+
+    const holders = {};
+    seed.peers.forEach((peerId) => {
+      if (this.isPeerReady(peerId) && !seed.distrusted.has(peerId)) {
+        holders[peerId] = seed.peerChunks[peerId];
+      }
+    });
+
+    const picks = pickChunkRequests(
+      entry.chunkBitmap,
+      seed.requested,
+      holders,
+      SWARM_MAX_REQUESTS,
+      entry.senderDigestKnown
+    );
+    Object.entries(picks).forEach(([peerId, indices]) => {
+      const sent = this.sendControlMessage(peerId, {
+        type: "chunk-request",
+        fileId: seed.fileId,
+        ranges: indicesToRanges(indices),
+      });
+      if (sent) {
+        indices.forEach((index) =>
+          seed.requested.set(index, { peerId, at: now })
+        );
+      }
+    });
+  }
+
+  // Answer another receiver's request for chunks, one request at a time
+  serveSwarmChunks(message, remotePeerId) {
+    const seed = this.seeds[message.fileId];
+    if (!seed.peerChunks[remotePeerId]) return;
+
+    const indices = rangesToIndices(
+      message.ranges,
+      seed.totalChunks,
+      SWARM_MAX_REQUESTS
+    );
+    seed.serving[remotePeerId] = (
+      seed.serving[remotePeerId] || Promise.resolve()
+    )
+      .then(() => this.sendSeedChunks(seed, remotePeerId, indices))
+      .catch((error) => {
+        console.error(`Error passing chunks on to ${remotePeerId}:`, error);
+      });
+  }
+
+  // Send chunks we hold to another receiver, skipping any no longer at hand
+  async sendSeedChunks(seed, peerId, indices) {
+    for (const index of indices) {
+      if (this.seeds[seed.fileId] !== seed) return;
+
+      const data = await this.readSeedChunk(seed, index);
+      if (!data) continue;
+
+      // The receiver checks what we pass on against the sender's digests,
+      // so this one is only a hint
+      const offset = index * DIGEST_LENGTH;
+      const messageBuffer = encodeChunkFrame({
+        fileId: seed.fileId,
+        index,
+        digest: seed.verifyChunks
+          ? seed.chunkDigests.subarray(offset, offset + DIGEST_LENGTH)
+          : null,
+        data,
+      });
+
+      const dataChannel = this.getLeastBufferedChannel(peerId);
+      if (!dataChannel) return;
+      await this.waitForChannelDrain(dataChannel);
+      if (dataChannel.readyState !== "open") return;
+      await this.sendOnChannel(dataChannel, messageBuffer);
+    }
+  }
+
+  // Read back a chunk we hold, or null if it's no longer at hand
+  async readSeedChunk(seed, index) {
+    if (seed.blob) {
+      const start = index * seed.chunkSize;
+      const end = Math.min(start + seed.chunkSize, seed.fileSize);
+      return seed.blob.slice(start, end).arrayBuffer();
+    }
+    return seed.servable[index] ? seed.cache.get(index) : null;
+  }
+
+  // Keep passing a received file on for a while, now from the file itself
+  finishSeeding(fileId, blob) {
+    const seed = this.seeds[fileId];
+    if (!seed) return;
+
+    clearInterval(seed.requestTimer);
+    clearTimeout(seed.haveTimer);
+    seed.entry = null;
+    seed.blob = blob;
+    seed.cache.clear();
+    seed.cacheBytes = 0;
+    seed.requested.clear();
+    this.sendHave(seed);
+
+    seed.stopTimer = setTimeout(
+      () => this.stopSeeding(fileId),
+      SWARM_SEED_TIME
+    );
+  }
+
+  // Free the scratch copy of a received file once the app has it elsewhere,
+  // kept in the history or downloaded. A file still being passed on to a
+  // swarm is served from the copy given, or no longer served at all.
+  releaseReceivedFile(fileId, replacement = null) {
+    const sink = this.receivedSinks.get(fileId);
+    if (!sink) return;
+    this.receivedSinks.delete(fileId);
+
+    if (this.seeds[fileId]) {
+      if (replacement) this.seeds[fileId].blob = replacement;
+      else this.stopSeeding(fileId);
+    }
+    sink.discard();
+  }
+
+  // Stop passing a file on and free the chunks kept for it
+  stopSeeding(fileId) {
+    const seed = this.seeds[fileId];
+    if (!seed) return;
+
+    clearInterval(seed.requestTimer);
+    clearTimeout(seed.haveTimer);
+    clearTimeout(seed.stopTimer);
+    seed.cache.clear();
+    delete this.seeds[fileId];
+  }
+
+  // Pause a transfer from this side and ask the peer to hold it too
+  pauseTransfer(transferId) {
+    this.setLocalHold(transferId, true);
+  }
+
+  // Lift this side's pause. The transfer stays paused while the peer holds it.
+  resumeTransfer(transferId) {
+    this.setLocalHold(transferId, false);
+  }
+
+  setLocalHold(transferId, held) {
+    const record = this.findTransferRecord(transferId);
+    if (!record || record.localHold === held) return;
+
+    console.log(`${held ? "Pausing" : "Resuming"} transfer: ${transferId}`);
+    record.localHold = held;
+    this.sendControlMessage(record.peerId, {
+      type: held ? "transfer-pause" : "transfer-resume",
+      fileId: record.fileId,
+    });
+    this.applyHold(record);
+  }
+
+  // Stop a transfer for good and tell the peer to stop too
+  cancelTransfer(transferId) {
+    const record = this.findTransferRecord(transferId);
+    if (!record) return;
+
+    console.log(`Cancelling transfer: ${transferId}`);
+    if (this.stopTransfer(record, "Cancelled by you")) {
+      this.sendControlMessage(record.peerId, {
+        type: "transfer-cancel",
+        fileId: record.fileId,
+      });
+    }
+  }
+
+  // Handle a pause, resume or cancel sent by the other side of a transfer
+  handleTransferControl(message, remotePeerId) {
+    const outgoing = this.outgoingFiles[message.fileId];
+    const entry = this.incomingFiles[message.fileId];
+    const record =
+      (outgoing && outgoing.peers[remotePeerId]) ||
+      (entry && entry.peerId === remotePeerId ? entry : null);
+    if (!record) return;
+
+    if (message.type === "transfer-cancel") {
+      this.stopTransfer(record, `Cancelled by peer ${remotePeerId}`);
+      return;
+    }
+
+    record.remoteHold = message.type === "transfer-pause";
+    this.applyHold(record);
+  }
+
+  // The sending peer record or incoming file behind a transfer ID
+  findTransferRecord(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || TransferManager.isFinished(transfer)) return null;
+
+    if (transfer.direction === "out") {
+      const outgoing = this.outgoingFiles[transfer.fileId];
+      return (outgoing && outgoing.peers[transfer.peerId]) || null;
+    }
+    return this.incomingFiles[transfer.fileId] || null;
+  }
+
+  // Show a held transfer as paused, or put it back to running and wake its
+  // send loop once neither side holds it
+  applyHold(record) {
+    if (record.localHold || record.remoteHold) {
+      this.transfers.update(record.transferId, {
+        state: "paused",
+        pausedBy: record.localHold ? "local" : "remote",
+      });
+      return;
+    }
+
+    let state = "active";
+    if (record.state === "paused" || record.state === "offered") {
+      state = record.state;
+    } else if (record.accepted === false) {
+      // An outgoing file the peer hasn't answered yet
+      state = "waiting";
+    }
+    this.transfers.update(record.transferId, { state, pausedBy: null });
+    this.releaseHold(record);
+  }
+
+  waitForRelease(record) {
+    return new Promise((resolve) => {
+      record.release = resolve;
+    });
+  }
+
+  releaseHold(record) {
+    if (record.release) {
+      const release = record.release;
+      record.release = null;
+      release();
+    }
+  }
+
+  // Cancel either side of a transfer. Returns false if it was already over.
+  stopTransfer(record, reason) {
+    const transfer = this.transfers.get(record.transferId);
+    if (transfer && transfer.direction === "in") {
+      return this.cancelIncomingFile(record, reason);
+    }
+    return this.cancelOutgoingPeer(record, reason);
+  }
+
+  // Stop sending a file to one peer and let its send loop finish
+  cancelOutgoingPeer(peer, reason) {
+    if (
+      peer.state === "done" ||
+      peer.state === "failed" ||
+      peer.state === "declined" ||
+      peer.state === "cancelled"
+    ) {
+      return false;
+    }
+
+    clearTimeout(peer.resumeTimer);
+    peer.state = "cancelled";
+    peer.queuedReply = null;
+    this.transfers.setState(peer.transferId, "cancelled", reason);
+    this.releaseHold(peer);
+    if (peer.pendingReply) {
+      peer.pendingReply.resolve({ type: "transfer-cancel" });
+      peer.pendingReply = null;
+    }
+    return true;
+  }
+
+  // Drop an incoming file and free the chunks received so far. A file that
+  // is already being finished can't be cancelled any more.
+  cancelIncomingFile(entry, reason) {
+    if (entry.failed || entry.finalizing) return false;
+
+    entry.failed = true;
+    clearTimeout(entry.resumeTimer);
+    clearTimeout(entry.missingTimer);
+    delete this.incomingFiles[entry.fileId];
+    this.stopSeeding(entry.fileId);
+    if (entry.state === "offered" && this.onFileOfferClosed) {
+      this.onFileOfferClosed(entry.fileId);
+    }
+    this.transfers.setState(entry.transferId, "cancelled", reason);
+    console.log(`Cancelled receiving ${entry.fileName}: ${reason}`);
+
+    // Wait for any write in progress so the sink isn't aborted under it
+    entry.sinkQueue = entry.sinkQueue
+      .then(() => entry.sink && entry.sink.abort())
+      .catch((error) => {
+        console.error("Error aborting receive sink:", error);
+      });
+    return true;
+  }
+
+  // Give up on every transfer with a peer that has left the room
+  failTransfersWithPeer(peerId) {
+    Object.values(this.outgoingFiles).forEach((transfer) => {
+      if (transfer.peers[peerId]) {
+        this.failOutgoingPeer(
+          transfer.peers[peerId],
+          new Error(`Peer ${peerId} left the room`)
+        );
+      }
+    });
+
+    Object.values(this.incomingFiles).forEach((entry) => {
+      if (entry.peerId === peerId) {
+        this.failIncomingFile(entry, new Error(`Peer ${peerId} left the room`));
+      }
+    });
   }
 
   // Disconnect from the signaling server and clean up
@@ -1184,21 +3506,64 @@ class WebRTCService {
     if (this.joinRoomTimeout) {
       clearTimeout(this.joinRoomTimeout);
     }
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    if (this.pendingRejoin) {
+      this.pendingRejoin.reject(new Error("Disconnected"));
+      this.pendingRejoin = null;
+    }
+    this.peersToReconnect.clear();
+    clearInterval(this.statsTimer);
+    this.statsTimer = null;
+    clearTimeout(this.configTimer);
+    this.configTimer = null;
 
     // Close all peer connections
     Object.keys(this.peerConnections).forEach((peerId) => {
       this.closePeerConnection(peerId);
     });
 
-    // Close the WebSocket connection
-    if (this.socket) {
-      this.socket.close();
-      this.socket = null;
+    // Abandon files still in flight and free the scratch space of received ones
+    Object.values(this.outgoingFiles).forEach((transfer) => {
+      Object.values(transfer.peers).forEach((peer) => {
+        this.failOutgoingPeer(peer, new Error("Disconnected"));
+      });
+    });
+    this.outgoingFiles = {};
+    this.transfers.clear();
+    Object.values(this.incomingFiles).forEach((entry) => {
+      entry.failed = true;
+      clearTimeout(entry.resumeTimer);
+      clearTimeout(entry.missingTimer);
+      if (entry.sink) entry.sink.abort().catch(() => {});
+    });
+    this.incomingFiles = {};
+    Object.keys(this.seeds).forEach((fileId) => this.stopSeeding(fileId));
+    this.autoAcceptPeers.clear();
+    this.folderDecisions = {};
+    this.peerVerifications = {};
+    this.receivedSinks.forEach((sink) => sink.discard());
+    this.receivedSinks.clear();
+
+    // Close the signaling transport, telling the server we're gone for good
+    // rather than dropped and coming back
+    if (this.transport && this.transport.isOpen() && this.roomId) {
+      this.sendSignalingMessage({ type: "leave-room" });
+    }
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
     }
 
     // Reset state
     this.roomId = null;
     this.peerId = null;
+    this.sessionToken = null;
+    this.roomPassword = null;
+    this.roomKnock = false;
+    this.roomCreated = false;
+    this.setSignalingState("disconnected");
     this.pendingRemoteDescriptions = {};
     this.pendingIceCandidates = {};
 
@@ -0,0 +1,62 @@
+// Which kind of inline preview the browser can show for a received file
+
+const TEXT_TYPES = [
+  "application/json",
+  "application/xml",
+  "application/javascript",
+  "application/x-ndjson",
+  "application/x-yaml",
+  "application/yaml",
+  "application/sql",
+  "application/csv",
+];
+
+// Files without a MIME type are judged by their extension, but only as text
+const TEXT_EXTENSIONS = [
+  "txt",
+  "md",
+  "log",
+  "csv",
+  "json",
+  "xml",
+  "yml",
+  "yaml",
+  "ini",
+  "toml",
+  "js",
+  "jsx",
+  "ts",
+  "tsx",
+  "py",
+  "rb",
+  "go",
+  "rs",
+  "java",
+  "c",
+  "h",
+  "cpp",
+  "css",
+  "html",
+  "sh",
+  "sql",
+];
+
+// Returns "image", "video", "audio", "pdf", "text" or null
+export const getPreviewKind = (file) => {
+  const type = (file.type || "").split(";")[0].trim().toLowerCase();
+
+  // SVG can carry scripts, so it's only ever shown through <img>
+  if (type.startsWith("image/")) return "image";
+  if (type.startsWith("video/")) return "video";
+  if (type.startsWith("audio/")) return "audio";
+  if (type === "application/pdf") return "pdf";
+  if (type.startsWith("text/") || TEXT_TYPES.includes(type)) return "text";
+
+  // Text is read out of the blob and never rendered as a page, so trusting
+  // the extension is safe
+  if (!type) {
+    const extension = (file.name || "").split(".").pop().toLowerCase();
+    if (TEXT_EXTENSIONS.includes(extension)) return "text";
+  }
+  return null;
+};
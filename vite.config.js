@@ -2,18 +2,50 @@
 import { defineConfig } from "vite";
 import tailwindcss from "@tailwindcss/vite";
 import react from "@vitejs/plugin-react";
+import { createSignalingServer } from "./server/signaling.js";
+
+// Where the dev server proxies /ws and /api to
+const BACKEND_PORT = 8080;
+
+// Runs the reference signaling server next to the dev server, so `npm run dev`
+// works without the backend. Skipped when something already listens on the
+// port, like the backend itself, or with SIGNALING_SERVER=off.
+const signalingServer = () => ({
+  name: "signaling-server",
+  apply: "serve",
+  configureServer(server) {
+    if (process.env.SIGNALING_SERVER === "off") return;
+
+    const wss = createSignalingServer({ port: BACKEND_PORT });
+    wss.on("listening", () => {
+      console.log(`Signaling server running on port ${BACKEND_PORT}`);
+    });
+    wss.on("error", (error) => {
+      if (error.code === "EADDRINUSE") {
+        console.log(
+          `Port ${BACKEND_PORT} is in use, using the signaling server there`
+        );
+      } else {
+        console.error("Signaling server failed:", error);
+      }
+    });
+    if (server.httpServer) {
+      server.httpServer.on("close", () => wss.close());
+    }
+  },
+});
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), signalingServer()],
   css: {
     postcss: "./postcss.config.js",
   },
   server: {
     proxy: {
-      "/api": "http://localhost:8080",
+      "/api": `http://localhost:${BACKEND_PORT}`,
       "/ws": {
-        target: "ws://localhost:8080",
+        target: `ws://localhost:${BACKEND_PORT}`,
         ws: true,
       },
     },